@@ -1,77 +1,221 @@
+const crypto = require("crypto")
 const express = require("express")
 const cors = require("cors")
-const { createClient } = require("@supabase/supabase-js")
-const { calculateRouteFromSegments } = require("./lib/routing")
+const { createStorage } = require("./lib/storage")
+const { calculateRouteFromSegments, findDegradedLegs, isValidCoordinate, setRouteCache, setRouteSimplification, setRoutingProviders, getRoutingProviders } = require("./lib/routing")
+const { encodePolyline, readRouteCoordinates, routeColumns } = require("./lib/polyline")
+const { createProvidersFromEnv } = require("./lib/providers")
+const { createRouteCache } = require("./lib/routeCache")
+const { calculateDistance, buildRouteIndex, positionAtDistance, projectOnRoute } = require("./lib/geometry")
+const { locateSegmentsOnRoute } = require("./lib/segments")
+const { validateSegments } = require("./lib/segmentValidation")
+const { predictArrivals } = require("./lib/eta")
+const { createEventStream } = require("./lib/stream")
+const { MAX_REPLAY_SPEED, parseTimestamp, stateAt, streamReplay } = require("./lib/replay")
+const { systemClock, resolveSimulationConfig, createSimulation } = require("./lib/clock")
+const { createTollTariffs, computeTripTolls, hasTollSegments } = require("./lib/tolls")
+const { createWebhookDispatcher } = require("./lib/webhooks")
+const { createAuth, createCorsOptions } = require("./lib/auth")
+const { DEFAULT_GRACE_MINUTES, evaluateDeparture, createDepartureScheduler } = require("./lib/scheduler")
+const { loadSpeedProfileConfig, buildSpeedProfile, advanceAlongProfile, travelMinutes, averageSpeed } = require("./lib/speedProfile")
+const { DEFAULT_FEED_DAYS, buildGtfsFeed } = require("./lib/gtfs")
+const { createZipArchive } = require("./lib/zip")
+const { EXPORT_FORMATS, isExportFormat, exportTripLine } = require("./lib/geoExport")
+const { encodeFeedMessage, buildVehiclePositionsFeed, buildTripUpdatesFeed } = require("./lib/gtfsRealtime")
+const { DEFAULT_TIME_ZONE, loadHolidays, planTimetableRuns, buildTripFromTemplate, validateTimetableInput } = require("./lib/timetables")
 require("dotenv").config()
 
 const app = express()
 const PORT = process.env.PORT || 3001
 
-// Middleware
-app.use(cors())
+// Middleware (CORS_ORIGINS: comma separated allowed origins, unset allows any origin)
+const corsOptions = createCorsOptions(process.env)
+app.use(cors(corsOptions))
 app.use(express.json())
 
-// Validate environment variables
-if (!process.env.NEXT_PUBLIC_SUPABASE_URL) {
-  console.error("❌ Error: NEXT_PUBLIC_SUPABASE_URL is required in .env file")
+// Authentication: API_KEYS and/or JWT_SECRET, roles viewer < dispatcher < admin (AUTH_DISABLED=true opts out)
+let auth
+try {
+  auth = createAuth(process.env)
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`)
+  process.exit(1)
+}
+const requireRole = auth.requireRole
+
+// Storage backend (STORAGE_DRIVER=supabase|memory, defaults to Supabase when configured)
+let storage
+try {
+  storage = createStorage(process.env)
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`)
+  process.exit(1)
+}
+
+// Routing providers in fallback order (ROUTING_PROVIDERS=osrm,valhalla,graphhopper,offline)
+try {
+  setRoutingProviders(createProvidersFromEnv(process.env))
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`)
+  process.exit(1)
+}
+
+// Outgoing webhooks for partner systems (WEBHOOK_MAX_ATTEMPTS, WEBHOOK_RETRY_BASE_MS)
+const webhooks = createWebhookDispatcher({
+  storage,
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || undefined,
+  baseDelayMs: Number(process.env.WEBHOOK_RETRY_BASE_MS) || undefined,
+})
+
+// Persistent route cache (ROUTE_CACHE_FILE, ROUTE_CACHE_TTL_HOURS; 0 = entries only serve as stale fallback)
+const ROUTE_CACHE_TTL_HOURS = process.env.ROUTE_CACHE_TTL_HOURS === undefined || process.env.ROUTE_CACHE_TTL_HOURS === ""
+  ? undefined
+  : Number(process.env.ROUTE_CACHE_TTL_HOURS)
+if (ROUTE_CACHE_TTL_HOURS !== undefined && !(Number.isFinite(ROUTE_CACHE_TTL_HOURS) && ROUTE_CACHE_TTL_HOURS >= 0)) {
+  console.error(`❌ Error: ROUTE_CACHE_TTL_HOURS must be a number of hours >= 0, got "${process.env.ROUTE_CACHE_TTL_HOURS}"`)
+  process.exit(1)
+}
+
+const routeCache = createRouteCache({
+  file: process.env.ROUTE_CACHE_FILE || ".cache/route-cache.json",
+  ttlHours: ROUTE_CACHE_TTL_HOURS,
+})
+setRouteCache(routeCache)
+
+// Stored route geometry: Douglas-Peucker tolerance in meters (ROUTE_SIMPLIFY_TOLERANCE_M, default 0 = off, e.g. 5) and
+// ROUTE_STORAGE_FORMAT=array (route as [{ lat, lng }]) | polyline (route plus the encoded route_polyline column)
+const ROUTE_SIMPLIFY_TOLERANCE_M = process.env.ROUTE_SIMPLIFY_TOLERANCE_M === undefined ? 0 : Number(process.env.ROUTE_SIMPLIFY_TOLERANCE_M)
+const ROUTE_STORAGE_FORMAT = process.env.ROUTE_STORAGE_FORMAT || "array"
+if (!Number.isFinite(ROUTE_SIMPLIFY_TOLERANCE_M) || ROUTE_SIMPLIFY_TOLERANCE_M < 0 || !["array", "polyline"].includes(ROUTE_STORAGE_FORMAT)) {
+  console.error("❌ Error: ROUTE_SIMPLIFY_TOLERANCE_M must be >= 0 and ROUTE_STORAGE_FORMAT array or polyline")
+  process.exit(1)
+}
+setRouteSimplification(ROUTE_SIMPLIFY_TOLERANCE_M)
+
+// Toll tariff table (TOLL_TARIFF_FILE, TOLL_VEHICLE_CLASS)
+let tollTariffs
+try {
+  tollTariffs = createTollTariffs({
+    file: process.env.TOLL_TARIFF_FILE || null,
+    defaultClass: process.env.TOLL_VEHICLE_CLASS || null,
+  })
+} catch (error) {
+  console.error(`❌ Error: Invalid toll tariff file: ${error.message}`)
   process.exit(1)
 }
 
-if (!process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY) {
-  console.error("❌ Error: NEXT_PUBLIC_SUPABASE_ANON_KEY is required in .env file")
+// Simulator speeds per leg type (SPEED_RANGE_CITY / _INTERCITY / _TOLL, SPEED_ACCELERATION_MS2, ...)
+let speedProfileConfig
+try {
+  speedProfileConfig = loadSpeedProfileConfig(process.env)
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`)
   process.exit(1)
 }
 
-// Supabase client
-const supabase = createClient(process.env.NEXT_PUBLIC_SUPABASE_URL, process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY)
+// Public holidays skipped by timetables unless runs_on_holidays (HOLIDAYS_FILE, TIMETABLE_TIME_ZONE)
+let holidays
+try {
+  holidays = loadHolidays(process.env.HOLIDAYS_FILE || null)
+} catch (error) {
+  console.error(`❌ Error: Invalid holidays file: ${error.message}`)
+  process.exit(1)
+}
+const TIMETABLE_TIME_ZONE = process.env.TIMETABLE_TIME_ZONE || DEFAULT_TIME_ZONE
 
 // Global tracking state
 const activeTrips = new Map()
 const trackingIntervals = new Map()
+const startingTrips = new Set() // Guard against double start (start route + realtime UPDATE)
 
 // BARU: Stop tracking state untuk mengatur durasi berhenti
 const stopStates = new Map() // { tripId: { currentStopIndex: number, stopStartTime: number, isAtStop: boolean } }
 
-// Utility functions
-const calculateDistance = (lat1, lng1, lat2, lng2) => {
-  const R = 6371 // Earth's radius in kilometers
-  const dLat = toRadians(lat2 - lat1)
-  const dLng = toRadians(lng2 - lng1)
-
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) * Math.sin(dLng / 2)
+// Pause / manual hold state: { tripId: { paused: boolean, holdUntil: number|null, frozenSince: number|null, totalPausedMs: number } }
+const pauseStates = new Map()
+
+// Trip statuses that keep a tracking loop alive
+const TRACKED_STATUSES = ["IN_PROGRESS", "PAUSED"]
+
+// Live GPS mode tuning (km / km/h)
+const LIVE_MAX_ROUTE_OFFSET_KM = 0.5 // fixes further off the route don't advance progress
+const LIVE_BACKTRACK_KM = 0.5 // search window behind the last snapped position
+const LIVE_STOP_RADIUS_KM = 0.15 // stop arrival/departure and destination radius
+const LIVE_MIN_ETA_SPEED = 5 // below this the planned speed is used for ETA
+
+const TRACKING_MODES = ["simulated", "live"]
+
+// Simulator tick, in (possibly virtual) seconds
+const TRACKING_INTERVAL_SECONDS = 20
+
+// Per-trip clock and random source: { tripId: { clock, random, config } }
+const simulations = new Map()
+
+const getClock = (tripId) => simulations.get(tripId)?.clock || systemClock
+const tripNow = (tripId) => getClock(tripId).now()
+
+// Live push channel (SSE) for tracking ticks and lifecycle events
+const eventStream = createEventStream()
+
+// Lifecycle events also kept in the trip_events log (stream type -> log type)
+const TRIP_EVENT_LOG_TYPES = {
+  "trip.departure_awaiting_confirmation": "DEPARTURE_AWAITING_CONFIRMATION",
+  "trip.departure_missed": "DEPARTURE_MISSED",
+  "trip.started": "TRIP_STARTED",
+  "route.fallback": "ROUTE_FALLBACK_USED",
+  "stop.arrived": "STOP_ARRIVED",
+  "stop.departed": "STOP_DEPARTED",
+  "toll.entered": "TOLL_ENTERED",
+  "toll.exited": "TOLL_EXITED",
+  "trip.paused": "TRIP_PAUSED",
+  "trip.resumed": "TRIP_RESUMED",
+  "trip.held": "TRIP_HELD",
+  "trip.completed": "TRIP_COMPLETED",
+  "trip.cancelled": "TRIP_CANCELLED",
+}
 
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
-  return R * c
+// Where the event happened: the event's own point, else the bus's last known position
+const resolveEventLocation = (trip, payload) => {
+  if (typeof payload.lat === "number" && typeof payload.lng === "number") {
+    return { lat: payload.lat, lng: payload.lng }
+  }
+  const lastPosition = activeTrips.get(trip.id)?.lastPosition
+  if (lastPosition) return { lat: lastPosition.lat, lng: lastPosition.lng }
+  if (typeof trip.current_lat === "number" && typeof trip.current_lng === "number") {
+    return { lat: trip.current_lat, lng: trip.current_lng }
+  }
+  return { lat: null, lng: null }
 }
 
-const toRadians = (degrees) => degrees * (Math.PI / 180)
+const emitTripEvent = (type, trip, payload = {}, now = tripNow(trip.id)) => {
+  eventStream.publish(type, {
+    tripId: trip.id,
+    busId: trip.bus_id,
+    timestamp: new Date(now).toISOString(),
+    ...payload,
+  })
 
-// Realistic speed calculation based on route type and conditions
-const getRealisticSpeed = (distance, tripSegments) => {
-  let baseSpeed
-  
-  // Check if route has toll segments
-  const hasTollSegments = tripSegments && tripSegments.some(s => s.type === 'toll_entry' || s.type === 'toll_exit')
-  
-  if (hasTollSegments) {
-    // Toll highways: 80-100 km/h as requested
-    baseSpeed = Math.floor(Math.random() * (100 - 40 + 1)) + 40
-  } else if (distance < 50) {
-    // City routes: 25-40 km/h (traffic, stops)
-    baseSpeed = Math.floor(Math.random() * (50 - 5 + 1)) + 5
-  } else if (distance < 150) {
-    // Inter-city routes: 45-65 km/h (mixed roads)
-    baseSpeed = Math.floor(Math.random() * (50 - 20 + 1)) + 20
-  } else {
-    // Long distance routes: 60-80 km/h (highways with stops)
-    baseSpeed = Math.floor(Math.random() * (80 - 20 + 1)) + 20
+  const logType = TRIP_EVENT_LOG_TYPES[type]
+  if (logType) {
+    const location = resolveEventLocation(trip, payload)
+    storage.appendTripEvent({
+      trip_id: trip.id,
+      bus_id: trip.bus_id,
+      type: logType,
+      timestamp: now,
+      ...location,
+      payload,
+    }).catch(error => console.error(`Error logging ${logType} for trip ${trip.id}:`, error))
+
+    webhooks.dispatch({
+      type: logType,
+      tripId: trip.id,
+      busId: trip.bus_id,
+      timestamp: new Date(now).toISOString(),
+      ...location,
+      payload,
+    })
   }
-  
-  // Add random variation for traffic conditions (-10 to +5 km/h)
-  const variation = Math.floor(Math.random() * 16) - 10
-  return Math.max(20, Math.min(85, baseSpeed + variation)) // Keep within reasonable bounds
 }
 
 const formatElapsedTime = (minutes) => {
@@ -86,13 +230,31 @@ const formatElapsedTime = (minutes) => {
 
 // PERBAIKAN UTAMA: Enhanced tracking dengan REAL stop duration support
 const startTripTracking = async (trip) => {
+  if (startingTrips.has(trip.id)) return
+  startingTrips.add(trip.id)
+  try {
+    await startTripTrackingInternal(trip)
+  } finally {
+    startingTrips.delete(trip.id)
+  }
+}
+
+const startTripTrackingInternal = async (trip) => {
   console.log(`🚀 Starting ENHANCED backend tracking for trip: ${trip.id}`)
 
   // Stop existing tracking if any
   if (trackingIntervals.has(trip.id)) {
-    clearInterval(trackingIntervals.get(trip.id))
+    getClock(trip.id).clearInterval(trackingIntervals.get(trip.id))
+    trackingIntervals.delete(trip.id)
   }
 
+  // Clock and random source: wall clock for live GPS, configurable for the simulator
+  const simulation = trip.tracking_mode === "live"
+    ? createSimulation({ timeScale: 1, step: false, seed: null, startAt: null })
+    : createSimulation(resolveSimulationConfig(trip.simulation))
+  simulations.set(trip.id, simulation)
+  const { clock, random } = simulation
+
   // Initialize stop state
   const stopSegments = trip.segments ? trip.segments.filter(s => s.type === 'stop').sort((a, b) => a.order - b.order) : []
   stopStates.set(trip.id, {
@@ -100,23 +262,38 @@ const startTripTracking = async (trip) => {
     stopStartTime: null,
     isAtStop: false,
     stopSegments: stopSegments,
+    stopDistances: [], // km along route per stop, filled once the route is known
+    nextStopIndex: 0,
     totalStopDuration: stopSegments.reduce((total, segment) => total + (segment.stop_duration || 0), 0)
   })
 
+  pauseStates.set(trip.id, {
+    paused: false,
+    holdUntil: null,
+    frozenSince: null,
+    totalPausedMs: 0,
+    reason: null,
+  })
+  if (trip.status === "PAUSED") {
+    freezeTrip(trip.id, { paused: true })
+  }
+
   console.log(`🛑 Trip ${trip.id.slice(0, 8)} has ${stopSegments.length} stops with total duration: ${stopStates.get(trip.id).totalStopDuration} minutes`)
 
   // Get bus info
-  const { data: bus } = await supabase.from("buses").select("*").eq("id", trip.bus_id).single()
+  const bus = await storage.getBus(trip.bus_id).catch(() => null)
   const tripName = bus?.nickname || trip.id.slice(0, 8)
 
   // Use route coordinates that exist in trip
   let routeCoordinates = []
   let totalDistance = 0
   let estimatedDuration = trip.estimated_duration || 0
+  let routeFallback = null
 
-  if (trip.route && trip.route.length > 0) {
-    // Use synchronized route with existing coordinates
-    routeCoordinates = trip.route
+  const storedRoute = readRouteCoordinates(trip)
+  if (storedRoute.length > 0) {
+    // Use synchronized route with existing coordinates (array or encoded polyline)
+    routeCoordinates = storedRoute
     totalDistance = trip.distance || 0
     console.log(`✅ Using SYNCHRONIZED route with ${routeCoordinates.length} points from trip database`)
   } else if (trip.segments && trip.segments.length > 0) {
@@ -127,17 +304,26 @@ const startTripTracking = async (trip) => {
       routeCoordinates = routeData.coordinates
       totalDistance = routeData.distance
       estimatedDuration = routeData.duration
+
+      // Legs that could not be routed by any provider (straight line or expired cache)
+      const degradedLegs = findDegradedLegs(routeData.legs)
+      if (degradedLegs.length > 0) {
+        routeFallback = {
+          reason: "routing_unavailable",
+          degradedLegs: degradedLegs.length,
+          totalLegs: routeData.legs.length,
+          sources: Array.from(new Set(degradedLegs.map(leg => leg.source))),
+        }
+      }
       
       // Save route to database for consistency
-      await supabase
-        .from("trips")
-        .update({
-          route: routeCoordinates,
-          distance: totalDistance,
-          estimated_duration: estimatedDuration,
-        })
-        .eq("id", trip.id)
-        
+      await storage.updateTrip(trip.id, {
+        ...routeColumns(routeCoordinates, ROUTE_STORAGE_FORMAT),
+        distance: totalDistance,
+        estimated_duration: estimatedDuration,
+        route_legs: routeData.legs,
+      })
+
       console.log(`📝 Route saved to database for future consistency`)
     } catch (routeError) {
       console.error(`❌ Route calculation failed for ${tripName}:`, routeError)
@@ -147,6 +333,7 @@ const startTripTracking = async (trip) => {
         { lat: trip.destination.lat, lng: trip.destination.lng }
       ]
       totalDistance = calculateDistance(trip.departure.lat, trip.departure.lng, trip.destination.lat, trip.destination.lng)
+      routeFallback = { reason: "route_calculation_failed", error: routeError.message }
     }
   } else {
     // Ultimate fallback: direct line
@@ -156,212 +343,592 @@ const startTripTracking = async (trip) => {
     ]
     totalDistance = calculateDistance(trip.departure.lat, trip.departure.lng, trip.destination.lat, trip.destination.lng)
     console.log(`🚨 Using emergency fallback route for ${tripName}`)
+    routeFallback = { reason: "no_route_or_segments" }
   }
 
-  // Get realistic speed based on distance and segments
-  const realisticSpeed = getRealisticSpeed(totalDistance, trip.segments)
-  
+  if (routeFallback) {
+    emitTripEvent("route.fallback", trip, routeFallback)
+  }
+
+  // Cumulative arc-length index: progress is distance travelled along the polyline
+  const routeIndex = buildRouteIndex(routeCoordinates)
+  if (routeIndex.totalLength > 0) {
+    totalDistance = routeIndex.totalLength
+  }
+
+  // Locate stops on the route by projecting their location, in segment order
+  const stopState = stopStates.get(trip.id)
+  const initialTravelledKm = ((trip.progress || 0) / 100) * totalDistance
+  const locatedSegments = locateSegmentsOnRoute(routeIndex, trip.segments)
+
+  // Speed per route leg (city, inter-city, toll), slower when leaving and approaching halts
+  const speedProfile = buildSpeedProfile(locatedSegments, totalDistance, speedProfileConfig, random)
+  const remainingAverageSpeed = (fromKm) => averageSpeed(speedProfile, speedProfileConfig, fromKm, totalDistance)
+  const plannedSpeed = Math.round(remainingAverageSpeed(0))
+
   // PERBAIKAN: Calculate completion time WITHOUT stop durations first (pure travel time)
-  const pureTravelTimeMinutes = estimatedDuration || ((totalDistance / realisticSpeed) * 60)
-  
+  // The speed profile is what the simulator actually drives, so estimates come from it
+  // (same as the live ETA); the router's duration (which includes stops) is only logged
+  const pureTravelTimeMinutes = travelMinutes(speedProfile, speedProfileConfig, 0, totalDistance)
+  const routerTravelTimeMinutes = estimatedDuration - (stopState ? stopState.totalStopDuration : 0)
+  stopState.stopDistances = locatedSegments
+    .filter(located => located.segment.type === 'stop')
+    .map(located => located.distance)
+  stopState.nextStopIndex = stopState.stopDistances.findIndex(distance => distance >= initialTravelledKm)
+  if (stopState.nextStopIndex === -1) stopState.nextStopIndex = stopState.stopDistances.length
+
+  // Toll gates in passing order (gates already behind a resumed trip count as passed)
+  const tollGates = locatedSegments
+    .filter(located => located.segment.type === 'toll_entry' || located.segment.type === 'toll_exit')
+    .map(located => ({ segment: located.segment, distance: located.distance, passed: located.distance < initialTravelledKm }))
+  const lastPassedGate = tollGates.filter(gate => gate.passed).pop()
+
+  // Toll cost per trip, computed once the route is known
+  let tolls = trip.toll_breakdown || null
+  if (!tolls && hasTollSegments(trip.segments)) {
+    tolls = computeTripTolls(trip.segments, tollTariffs, resolveVehicleClass(trip, bus))
+    await storage.updateTrip(trip.id, { toll_cost: tolls.total, toll_breakdown: tolls })
+      .catch(error => console.error(`❌ Failed to save toll cost for ${tripName}:`, error))
+    console.log(`💰 ${tripName}: Toll cost ${tolls.currency} ${tolls.total} (class ${tolls.vehicleClass}, ${tolls.sections.length} sections${tolls.complete ? "" : ", INCOMPLETE tariff"})`)
+  }
+
   // Add total stop duration to get actual trip time
-  const stopState = stopStates.get(trip.id)
   const totalStopDurationMinutes = stopState ? stopState.totalStopDuration : 0
   const totalTripTimeMinutes = pureTravelTimeMinutes + totalStopDurationMinutes
   
-  // Calculate progress per update for TRAVEL TIME only (stops are handled separately)
-  const updateIntervalSeconds = 20
-  const totalTravelUpdates = Math.ceil(pureTravelTimeMinutes * 60 / updateIntervalSeconds)
-  const progressPerUpdate = 100 / totalTravelUpdates
+  const updateIntervalSeconds = TRACKING_INTERVAL_SECONDS
 
-  const speedType = trip.segments && trip.segments.some(s => s.type === 'toll_entry') ? 'toll route' : 'regular route'
+  const legSummary = speedProfile.legs.map(leg => `${leg.type} ${leg.cruiseSpeed}`).join(", ")
   console.log(
-    `📊 ${tripName}: Distance: ${totalDistance.toFixed(1)}km, Speed: ${realisticSpeed}km/h (${speedType}), Pure travel: ${pureTravelTimeMinutes.toFixed(0)}min, Stop duration: ${totalStopDurationMinutes}min, Total time: ${totalTripTimeMinutes.toFixed(0)}min, Route points: ${routeCoordinates.length} (ENHANCED WITH REAL STOPS)`
+    `📊 ${tripName}: Distance: ${totalDistance.toFixed(1)}km, Speed: avg ${plannedSpeed}km/h (legs: ${legSummary}), Pure travel: ${pureTravelTimeMinutes.toFixed(0)}min (router ${Math.max(0, routerTravelTimeMinutes).toFixed(0)}min), Stop duration: ${totalStopDurationMinutes}min, Total time: ${totalTripTimeMinutes.toFixed(0)}min, Route points: ${routeCoordinates.length} (ENHANCED WITH REAL STOPS)`
   )
 
-  const startTime = Date.now()
-  let currentSpeed = realisticSpeed
+  const startTime = clock.now()
+  const trackingMode = trip.tracking_mode === "live" ? "live" : "simulated"
+
+  activeTrips.set(trip.id, {
+    ...trip,
+    route: routeCoordinates, // expanded once, whatever the stored form
+    speed: plannedSpeed,
+    speedProfile,
+    startTime,
+    totalDistance,
+    estimatedTime: totalTripTimeMinutes,
+    tripName,
+    routeIndex,
+    trackingMode,
+    lastFix: null,
+    lastPosition: routeIndex.totalLength > 0 ? positionAtDistance(routeIndex, initialTravelledKm) : null,
+    tollGates,
+    tolls,
+    onTollRoad: lastPassedGate?.segment.type === 'toll_entry',
+  })
+  activeTrips.get(trip.id).eta = computeTripEta(trip.id, initialTravelledKm, remainingAverageSpeed(initialTravelledKm))
 
-  const interval = setInterval(async () => {
-    try {
-      // Get current trip data
-      const { data: currentTrip, error } = await supabase.from("trips").select("*").eq("id", trip.id).single()
+  if (trackingMode === "live") {
+    // Live GPS: progress comes from device fixes (POST /api/buses/:busId/positions)
+    console.log(`📡 ${tripName}: LIVE GPS mode - waiting for device positions`)
+  } else {
+    if (clock !== systemClock) {
+      console.log(`⏩ ${tripName}: ${clock.type} clock${clock.timeScale ? ` (${clock.timeScale}x)` : ""}${simulation.config.seed !== null ? `, seed ${simulation.config.seed}` : ""}`)
+    }
 
-      if (error || !currentTrip || currentTrip.status !== "IN_PROGRESS") {
-        console.log(`❌ ${tripName}: Trip not active, stopping tracking`)
-        stopTripTracking(trip.id)
-        return
-      }
+    let currentSpeed = 0
+    let currentLeg = null
 
-      // Calculate elapsed time in minutes
-      const elapsedTimeMs = Date.now() - startTime
-      const elapsedTimeMinutes = elapsedTimeMs / (1000 * 60)
+    const interval = clock.setInterval(async () => {
+      try {
+        // Get current trip data
+        const currentTrip = await storage.getTrip(trip.id).catch(() => null)
 
-      const stopState = stopStates.get(trip.id)
-      if (!stopState) {
-        console.error(`❌ ${tripName}: Stop state not found`)
-        return
-      }
+        if (!currentTrip || !TRACKED_STATUSES.includes(currentTrip.status)) {
+          console.log(`❌ ${tripName}: Trip not active, stopping tracking`)
+          stopTripTracking(trip.id)
+          return
+        }
 
-      let newProgress = currentTrip.progress
-      let isMoving = true
-      let statusMessage = "Moving"
-
-      // PERBAIKAN UTAMA: Enhanced stop logic
-      if (stopState.stopSegments && stopState.stopSegments.length > 0) {
-        // Check if we should be at a stop based on current progress
-        const currentProgressInRoute = (newProgress / 100) * (routeCoordinates.length - 1)
-        
-        // Find which stop segment we should be at based on route progress
-        for (let i = 0; i < stopState.stopSegments.length; i++) {
-          const stopSegment = stopState.stopSegments[i]
-          const stopRouteIndex = findStopPositionInRoute(stopSegment, routeCoordinates, trip.segments)
-          
-          // Calculate progress percentage for this stop
-          const stopProgressPercent = (stopRouteIndex / (routeCoordinates.length - 1)) * 100
-          
-          // Check if we've reached this stop
-          if (newProgress >= stopProgressPercent - 2 && newProgress <= stopProgressPercent + 2) {
-            // We're at this stop
-            if (!stopState.isAtStop || stopState.currentStopIndex !== i) {
-              // Just arrived at stop
-              console.log(`🛑 ${tripName}: ARRIVED AT STOP ${i + 1}: ${stopSegment.location.name} (Duration: ${stopSegment.stop_duration}min)`)
-              stopState.isAtStop = true
-              stopState.currentStopIndex = i
-              stopState.stopStartTime = Date.now()
-            }
-            
-            // Check if we've been at stop long enough
-            const stopElapsedMinutes = stopState.stopStartTime ? (Date.now() - stopState.stopStartTime) / (1000 * 60) : 0
-            const requiredStopDuration = stopSegment.stop_duration || 30
-            
-            if (stopElapsedMinutes < requiredStopDuration) {
-              // Still need to wait at stop
-              isMoving = false
-              statusMessage = `Stopped at ${stopSegment.location.name} (${Math.ceil(requiredStopDuration - stopElapsedMinutes)}min remaining)`
-              console.log(`⏱️ ${tripName}: WAITING AT STOP ${i + 1}: ${stopElapsedMinutes.toFixed(1)}/${requiredStopDuration}min`)
-              
-              // Don't update progress while at stop
-              break
-            } else {
-              // Stop duration completed, can continue
-              if (stopState.isAtStop) {
-                console.log(`✅ ${tripName}: STOP ${i + 1} COMPLETED: ${stopSegment.location.name} after ${stopElapsedMinutes.toFixed(1)}min`)
-                stopState.isAtStop = false
-                stopState.currentStopIndex = -1
-                stopState.stopStartTime = null
-                isMoving = true
-                statusMessage = "Continuing journey"
-              }
-            }
-            break
-          }
+        // Sync pause with status changes made outside this server, release expired holds
+        const now = clock.now()
+        const pauseState = syncPauseState(trip.id, currentTrip.status, now)
+        const isFrozen = isTripFrozen(pauseState, now)
+
+        const stopState = stopStates.get(trip.id)
+        if (!stopState) {
+          console.error(`❌ ${tripName}: Stop state not found`)
+          return
         }
-      }
 
-      // Only update progress if bus is moving
-      if (isMoving) {
-        // Vary speed slightly for realism (+/- 5 km/h)
-        const speedVariation = (Math.random() - 0.5) * 10
-        currentSpeed = Math.max(15, Math.min(90, realisticSpeed + speedVariation))
+        let newProgress = currentTrip.progress
+        let isMoving = true
+        let statusMessage = "Moving"
 
-        // Calculate new progress
-        newProgress = Math.min(100, currentTrip.progress + progressPerUpdate)
-      }
+        // Paused or held: freeze progress (dwell timer is shifted on release)
+        if (isFrozen) {
+          isMoving = false
+          statusMessage = describeFreeze(pauseState, now)
+        }
 
-      // Calculate current position from SYNCHRONIZED route coordinates
-      let currentLat = currentTrip.current_lat
-      let currentLng = currentTrip.current_lng
+        // PERBAIKAN UTAMA: Enhanced stop logic - dwell at the stop's projected distance
+        if (!isFrozen && stopState.isAtStop) {
+          const i = stopState.currentStopIndex
+          const stopSegment = stopState.stopSegments[i]
 
-      if (routeCoordinates && Array.isArray(routeCoordinates) && routeCoordinates.length > 0) {
-        const routeIndex = Math.floor((newProgress / 100) * (routeCoordinates.length - 1))
-        const currentPosition = routeCoordinates[routeIndex] || routeCoordinates[0]
-        currentLat = currentPosition.lat
-        currentLng = currentPosition.lng
-      }
+          // Check if we've been at stop long enough
+          const stopElapsedMinutes = (now - stopState.stopStartTime) / (1000 * 60)
+          const requiredStopDuration = stopSegment.stop_duration || 30
+
+          if (stopElapsedMinutes < requiredStopDuration) {
+            // Still need to wait at stop, don't update progress
+            isMoving = false
+            statusMessage = `Stopped at ${stopSegment.location.name} (${Math.ceil(requiredStopDuration - stopElapsedMinutes)}min remaining)`
+            console.log(`⏱️ ${tripName}: WAITING AT STOP ${i + 1}: ${stopElapsedMinutes.toFixed(1)}/${requiredStopDuration}min`)
+          } else {
+            // Stop duration completed, can continue
+            departStop(trip, now)
+            statusMessage = "Continuing journey"
+          }
+        }
 
-      // Update trip progress
-      const updates = {
-        progress: newProgress,
-        current_lat: currentLat,
-        current_lng: currentLng,
-        speed: isMoving ? Math.round(currentSpeed) : 0, // Speed 0 when stopped
-      }
+        // Only update progress if bus is moving
+        if (isMoving) {
+          // Speed of the current leg (with traffic variation), ramped around halts
+          const travelledKm = (currentTrip.progress / 100) * totalDistance
+          const step = advanceAlongProfile(speedProfile, speedProfileConfig, travelledKm, updateIntervalSeconds, random)
+          currentSpeed = step.speed
+          currentLeg = step.leg
+          let nextKm = travelledKm + step.distanceKm
+
+          // Arrive at the next stop instead of driving past it
+          const nextStopKm = stopState.stopDistances[stopState.nextStopIndex]
+          if (nextStopKm !== undefined && nextKm >= nextStopKm) {
+            const stopSegment = arriveAtStop(trip, stopState.nextStopIndex, now)
+            nextKm = nextStopKm
+            isMoving = false
+            statusMessage = `Arrived at ${stopSegment.location.name}`
+          }
 
-      // If completed, mark as completed but keep bus at destination
-      if (newProgress >= 100) {
-        updates.status = "COMPLETED"
-        updates.end_time = new Date().toISOString()
-        console.log(`✅ ${tripName}: Trip completed using SYNCHRONIZED route with REAL stops - Bus staying at destination`)
-        
-        // Set bus as inactive but keep at destination
-        await supabase.from("buses").update({ is_active: false }).eq("id", trip.bus_id)
-      }
+          newProgress = totalDistance > 0 ? Math.min(100, (nextKm / totalDistance) * 100) : 100
+        }
 
-      // Update trip in database
-      await supabase.from("trips").update(updates).eq("id", trip.id)
+        // Calculate current position from SYNCHRONIZED route coordinates
+        let currentLat = currentTrip.current_lat
+        let currentLng = currentTrip.current_lng
 
-      // Update bus location for real-time tracking
-      if (currentLat && currentLng) {
-        // Delete old location first
-        await supabase.from("bus_locations").delete().eq("bus_id", trip.bus_id)
+        if (routeIndex.coordinates.length > 0) {
+          // Interpolate between route vertices by distance travelled
+          const currentPosition = positionAtDistance(routeIndex, (newProgress / 100) * totalDistance)
+          currentLat = currentPosition.lat
+          currentLng = currentPosition.lng
+        }
 
-        // Insert new location with elapsed time
-        await supabase.from("bus_locations").insert({
-          bus_id: trip.bus_id,
-          trip_id: trip.id,
+        await recordTripPosition(trip, {
+          progress: newProgress,
           lat: currentLat,
           lng: currentLng,
-          progress: newProgress,
-          elapsed_time_minutes: elapsedTimeMinutes,
-          timestamp: Date.now(),
+          speed: isMoving ? Math.round(currentSpeed) : 0, // Speed 0 when stopped
+          etaSpeed: remainingAverageSpeed((newProgress / 100) * totalDistance),
+          legType: currentLeg?.type || null,
+          statusMessage,
+          isFrozen,
+          now,
         })
+      } catch (error) {
+        console.error(`❌ Error tracking ${tripName}:`, error)
       }
+    }, updateIntervalSeconds * 1000) // Update every 20 seconds (of trip clock time)
 
-      // If completed, keep bus at destination and clean up stop state
-      if (newProgress >= 100) {
-        console.log(`🏁 ${tripName}: Bus parked at destination using SYNCHRONIZED route with REAL stops - ${trip.destination.name}`)
-        stopStates.delete(trip.id) // Clean up stop state
-        stopTripTracking(trip.id)
-      }
+    trackingIntervals.set(trip.id, interval)
+  }
 
-      console.log(
-        `📊 ${tripName}: ${newProgress.toFixed(1)}% (${formatElapsedTime(elapsedTimeMinutes)}) - ${statusMessage} - ${updates.speed}km/h`
-      )
-    } catch (error) {
-      console.error(`❌ Error tracking ${tripName}:`, error)
+  // Fresh start only, not when tracking is resumed after a restart
+  if (!(trip.progress > 0)) {
+    emitTripEvent("trip.started", trip, {
+      startedBy: trip.started_by || null,
+      scheduledDeparture: trip.scheduled_departure || null,
+      totalDistance,
+      estimatedTime: totalTripTimeMinutes,
+      trackingMode,
+      eta: activeTrips.get(trip.id).eta,
+    })
+  }
+}
+
+// Pause / hold helpers: while frozen the bus keeps its position and reports speed 0
+const isTripFrozen = (pauseState, now) =>
+  Boolean(pauseState && (pauseState.paused || (pauseState.holdUntil && pauseState.holdUntil > now)))
+
+const freezeTrip = (tripId, changes) => {
+  const pauseState = pauseStates.get(tripId)
+  if (!pauseState) return null
+
+  Object.assign(pauseState, changes)
+  const now = tripNow(tripId)
+  if (pauseState.frozenSince === null && isTripFrozen(pauseState, now)) {
+    pauseState.frozenSince = now
+  }
+  return pauseState
+}
+
+// Unfreeze once neither pause nor hold applies, crediting the frozen time to totalPausedMs
+const releaseTripFreeze = (tripId, now = tripNow(tripId)) => {
+  const pauseState = pauseStates.get(tripId)
+  if (!pauseState || pauseState.frozenSince === null || isTripFrozen(pauseState, now)) return
+
+  const frozenMs = now - pauseState.frozenSince
+  pauseState.totalPausedMs += frozenMs
+  pauseState.frozenSince = null
+  pauseState.holdUntil = null
+  pauseState.reason = null
+
+  // Dwell time doesn't run while frozen
+  const stopState = stopStates.get(tripId)
+  if (stopState && stopState.isAtStop && stopState.stopStartTime) {
+    stopState.stopStartTime += frozenMs
+  }
+}
+
+const getPausedMs = (tripId, now = tripNow(tripId)) => {
+  const pauseState = pauseStates.get(tripId)
+  if (!pauseState) return 0
+  return pauseState.totalPausedMs + (pauseState.frozenSince !== null ? now - pauseState.frozenSince : 0)
+}
+
+// Live ETA for a tracked trip at travelledKm, driving on at speedKmh
+const computeTripEta = (tripId, travelledKm, speedKmh, now = tripNow(tripId)) => {
+  const activeTrip = activeTrips.get(tripId)
+  const stopState = stopStates.get(tripId)
+  const pauseState = pauseStates.get(tripId)
+  if (!activeTrip || !stopState) return null
+
+  let delayMinutes = 0
+  let nextStopIndex = stopState.nextStopIndex
+
+  // Remaining dwell at the current stop (dwell doesn't run while frozen)
+  if (stopState.isAtStop) {
+    const stopSegment = stopState.stopSegments[stopState.currentStopIndex]
+    const dwellSpentMs = (pauseState?.frozenSince ?? now) - stopState.stopStartTime
+    delayMinutes += Math.max(0, (stopSegment.stop_duration || 30) - dwellSpentMs / (1000 * 60))
+    nextStopIndex = stopState.currentStopIndex + 1
+  }
+
+  // Remaining manual hold
+  if (pauseState?.holdUntil && pauseState.holdUntil > now) {
+    delayMinutes += (pauseState.holdUntil - now) / (1000 * 60)
+  }
+
+  return {
+    isPaused: Boolean(pauseState?.paused),
+    ...predictArrivals({
+      now,
+      travelledKm,
+      totalDistance: activeTrip.totalDistance,
+      speedKmh,
+      stops: stopState.stopSegments.map((segment, i) => ({ segment, distance: stopState.stopDistances[i] })),
+      nextStopIndex,
+      delayMinutes,
+      destination: activeTrip.destination,
+    }),
+  }
+}
+
+// Sync pause with status changes made outside this server and release expired holds
+const syncPauseState = (tripId, status, now = tripNow(tripId)) => {
+  const pauseState = pauseStates.get(tripId)
+  if (status === "PAUSED") {
+    freezeTrip(tripId, { paused: true })
+  } else if (pauseState.paused) {
+    pauseState.paused = false
+  }
+  releaseTripFreeze(tripId, now)
+  return pauseState
+}
+
+const describeFreeze = (pauseState, now) =>
+  pauseState.paused
+    ? "Paused by operator"
+    : `Held by operator (${Math.ceil((pauseState.holdUntil - now) / (1000 * 60))}min remaining)`
+
+// Stop dwell transitions, shared by the simulator and live GPS mode
+const arriveAtStop = (trip, stopIndex, now = tripNow(trip.id)) => {
+  const stopState = stopStates.get(trip.id)
+  const stopSegment = stopState.stopSegments[stopIndex]
+  const tripName = activeTrips.get(trip.id)?.tripName || trip.id.slice(0, 8)
+
+  stopState.isAtStop = true
+  stopState.currentStopIndex = stopIndex
+  stopState.stopStartTime = now
+
+  console.log(`🛑 ${tripName}: ARRIVED AT STOP ${stopIndex + 1}: ${stopSegment.location.name} (Duration: ${stopSegment.stop_duration}min)`)
+  emitTripEvent("stop.arrived", trip, {
+    stopIndex,
+    segmentId: stopSegment.id,
+    name: stopSegment.location.name,
+    lat: stopSegment.location.lat,
+    lng: stopSegment.location.lng,
+    stopDuration: stopSegment.stop_duration || 30,
+  }, now)
+  return stopSegment
+}
+
+const departStop = (trip, now = tripNow(trip.id)) => {
+  const stopState = stopStates.get(trip.id)
+  const i = stopState.currentStopIndex
+  const stopSegment = stopState.stopSegments[i]
+  const stopElapsedMinutes = (now - stopState.stopStartTime) / (1000 * 60)
+  const tripName = activeTrips.get(trip.id)?.tripName || trip.id.slice(0, 8)
+
+  console.log(`✅ ${tripName}: STOP ${i + 1} COMPLETED: ${stopSegment.location.name} after ${stopElapsedMinutes.toFixed(1)}min`)
+  emitTripEvent("stop.departed", trip, {
+    stopIndex: i,
+    segmentId: stopSegment.id,
+    name: stopSegment.location.name,
+    lat: stopSegment.location.lat,
+    lng: stopSegment.location.lng,
+    dwellMinutes: stopElapsedMinutes,
+  }, now)
+
+  stopState.isAtStop = false
+  stopState.currentStopIndex = -1
+  stopState.stopStartTime = null
+  stopState.nextStopIndex = i + 1
+  return stopSegment
+}
+
+const resolveVehicleClass = (trip, bus) => trip.vehicle_class || bus?.vehicle_class || tollTariffs.defaultClass
+
+// Toll gate crossings, shared by the simulator and live GPS mode
+const passTollGates = (trip, activeTrip, travelledKm, now) => {
+  activeTrip.tollGates.forEach((gate) => {
+    if (gate.passed || gate.distance > travelledKm) return
+    gate.passed = true
+
+    const isEntry = gate.segment.type === "toll_entry"
+    const gatePoint = isEntry ? gate.segment.toll_entry_gate : gate.segment.toll_exit_gate
+    const name = gatePoint?.name || gate.segment.location?.name
+    const section = !isEntry && activeTrip.tolls
+      ? activeTrip.tolls.sections.find(s => s.exitSegmentId === gate.segment.id)
+      : null
+    activeTrip.onTollRoad = isEntry
+
+    console.log(`🛣️ ${activeTrip.tripName}: ${isEntry ? "ENTERED" : "EXITED"} TOLL at ${name}`)
+    emitTripEvent(isEntry ? "toll.entered" : "toll.exited", trip, {
+      segmentId: gate.segment.id,
+      gate: name,
+      lat: gatePoint?.lat ?? null,
+      lng: gatePoint?.lng ?? null,
+      message: `${isEntry ? "Entered" : "Exited"} toll at ${name}`,
+      ...(section && { fare: section.fare, currency: activeTrip.tolls.currency }),
+    }, now)
+  })
+}
+
+// Set to false once the trips table turns out not to have the ETA columns yet
+let tripEtaColumnsAvailable = true
+
+// Per-tick trip row write. A failed write is logged, never thrown: the next tick
+// writes again, and tracking must keep running. Without the ETA columns
+// (supabase/migrations/20261019000500_trip_eta.sql not applied) the write falls
+// back to the position columns.
+const writeTripPosition = async (trip, updates) => {
+  const { eta, estimated_arrival, ...positionUpdates } = updates
+  try {
+    await storage.updateTrip(trip.id, tripEtaColumnsAvailable ? updates : positionUpdates)
+    return
+  } catch (error) {
+    if (!tripEtaColumnsAvailable || eta === undefined) {
+      console.error(`Error updating trip ${trip.id} position:`, error)
+      return
+    }
+  }
+
+  try {
+    await storage.updateTrip(trip.id, positionUpdates)
+    tripEtaColumnsAvailable = false
+    console.warn("⚠️ trips.eta / trips.estimated_arrival missing - apply supabase/migrations/20261019000500_trip_eta.sql; ETA is only streamed until then")
+  } catch (error) {
+    console.error(`Error updating trip ${trip.id} position:`, error)
+  }
+}
+
+// Persist one tracking update (trip row, latest location, breadcrumb), push it to
+// live clients and complete the trip at 100%. Used by simulator ticks and GPS fixes.
+const recordTripPosition = async (trip, { progress, lat, lng, speed, etaSpeed, legType = null, statusMessage, isFrozen = false, now = tripNow(trip.id), heading = null }) => {
+  const activeTrip = activeTrips.get(trip.id)
+  const stopState = stopStates.get(trip.id)
+  const tripName = activeTrip.tripName
+  const isAtStop = Boolean(stopState?.isAtStop)
+
+  // Elapsed time in minutes (time spent paused/held excluded)
+  const elapsedTimeMinutes = (now - activeTrip.startTime - getPausedMs(trip.id, now)) / (1000 * 60)
+
+  // Update trip progress
+  const updates = {
+    progress,
+    current_lat: lat,
+    current_lng: lng,
+    speed,
+  }
+
+  // Live ETA to upcoming stops and destination, stored alongside the trip row
+  const eta = computeTripEta(trip.id, (progress / 100) * activeTrip.totalDistance, etaSpeed, now)
+  if (eta) {
+    activeTrip.eta = eta
+    updates.eta = eta
+    updates.estimated_arrival = eta.destination.estimatedArrival
+  }
+
+  // If completed, mark as completed but keep bus at destination
+  if (progress >= 100) {
+    updates.status = "COMPLETED"
+    updates.end_time = new Date(now).toISOString()
+    console.log(`✅ ${tripName}: Trip completed using SYNCHRONIZED route with REAL stops - Bus staying at destination`)
+
+    // Set bus as inactive but keep at destination
+    await storage.updateBus(trip.bus_id, { is_active: false })
+  }
+
+  // Update trip in database
+  await writeTripPosition(trip, updates)
+
+  if (lat && lng) {
+    activeTrip.lastPosition = { lat, lng }
+  }
+
+  // Update bus location for real-time tracking
+  if (lat && lng) {
+    const location = {
+      bus_id: trip.bus_id,
+      trip_id: trip.id,
+      lat,
+      lng,
+      progress,
+      speed,
+      ...(heading !== null && { heading }),
+      elapsed_time_minutes: elapsedTimeMinutes,
+      timestamp: now,
     }
-  }, updateIntervalSeconds * 1000) // Update every 20 seconds
 
-  trackingIntervals.set(trip.id, interval)
-  activeTrips.set(trip.id, { ...trip, speed: realisticSpeed, startTime, totalDistance, estimatedTime: totalTripTimeMinutes })
+    // Latest position (upsert) plus breadcrumb for after-the-fact review; like the
+    // trip row, a failed write is logged and retried on the next tick
+    await storage.setBusLocation(location)
+      .catch(error => console.error(`Error updating bus ${trip.bus_id} location:`, error))
+    await storage.appendTrackPoint({
+      ...location,
+      at_stop: isAtStop,
+      stop_index: isAtStop ? stopState.currentStopIndex : null,
+      paused: isFrozen,
+    }).catch(error => console.error(`Error recording track point for trip ${trip.id}:`, error))
+  }
+
+  passTollGates(trip, activeTrip, (progress / 100) * activeTrip.totalDistance, now)
+
+  emitTripEvent("trip.position", trip, {
+    lat,
+    lng,
+    progress,
+    speed,
+    heading,
+    legType,
+    status: statusMessage,
+    isAtStop,
+    isFrozen,
+    elapsedMinutes: elapsedTimeMinutes,
+    eta,
+  }, now)
+
+  // If completed, keep bus at destination and clean up stop state
+  if (progress >= 100) {
+    console.log(`🏁 ${tripName}: Bus parked at destination using SYNCHRONIZED route with REAL stops - ${trip.destination.name}`)
+    emitTripEvent("trip.completed", trip, {
+      lat,
+      lng,
+      destination: trip.destination.name,
+      elapsedMinutes: elapsedTimeMinutes,
+    }, now)
+    stopStates.delete(trip.id) // Clean up stop state
+    stopTripTracking(trip.id)
+  }
+
+  console.log(
+    `📊 ${tripName}: ${progress.toFixed(1)}% (${formatElapsedTime(elapsedTimeMinutes)}) - ${statusMessage} - ${speed}km/h`
+  )
 }
 
-// Helper function to find stop position in route coordinates
-const findStopPositionInRoute = (stopSegment, routeCoordinates, allSegments) => {
-  if (!stopSegment || !routeCoordinates || !allSegments) return 0
-  
-  // Find the stop segment in the ordered segments list
-  const orderedSegments = allSegments.sort((a, b) => a.order - b.order)
-  const stopIndex = orderedSegments.findIndex(s => s.id === stopSegment.id)
-  
-  if (stopIndex === -1) return 0
-  
-  // Calculate approximate position in route based on segment order
-  const segmentRatio = stopIndex / (orderedSegments.length - 1)
-  const approximateIndex = Math.floor(segmentRatio * (routeCoordinates.length - 1))
-  
-  return Math.min(approximateIndex, routeCoordinates.length - 1)
+// Live GPS mode: snap a device fix onto the route to derive progress, stops and completion
+const ingestPositionFix = async (trip, fix) => {
+  const activeTrip = activeTrips.get(trip.id)
+  const stopState = stopStates.get(trip.id)
+  const { routeIndex, totalDistance, lastFix } = activeTrip
+  const now = fix.timestamp
+
+  const pauseState = syncPauseState(trip.id, trip.status, now)
+  const isFrozen = isTripFrozen(pauseState, now)
+
+  // Progress never goes backwards; allow some backtracking for GPS jitter
+  const travelledKm = lastFix ? lastFix.distanceAlong : ((trip.progress || 0) / 100) * totalDistance
+  const projection = projectOnRoute(routeIndex, fix, Math.max(0, travelledKm - LIVE_BACKTRACK_KM))
+  const onRoute = Boolean(projection) && projection.offset <= LIVE_MAX_ROUTE_OFFSET_KM
+  const distanceAlong = onRoute ? Math.max(travelledKm, projection.distanceAlong) : travelledKm
+
+  // Device speed, else derived from the previous fix
+  let speed = Number.isFinite(fix.speed) ? fix.speed : 0
+  if (!Number.isFinite(fix.speed) && lastFix && now > lastFix.timestamp) {
+    speed = calculateDistance(lastFix.lat, lastFix.lng, fix.lat, fix.lng) / ((now - lastFix.timestamp) / (1000 * 60 * 60))
+  }
+
+  let statusMessage = onRoute ? "Moving (GPS)" : `Off route (${projection ? projection.offset.toFixed(2) : "?"}km)`
+
+  // Arrive when within radius of the next stop, depart once past it
+  if (stopState.isAtStop) {
+    const stopKm = stopState.stopDistances[stopState.currentStopIndex]
+    if (distanceAlong > stopKm + LIVE_STOP_RADIUS_KM) {
+      departStop(trip, now)
+    } else {
+      statusMessage = `Stopped at ${stopState.stopSegments[stopState.currentStopIndex].location.name}`
+    }
+  }
+  const nextStopKm = stopState.stopDistances[stopState.nextStopIndex]
+  if (!stopState.isAtStop && nextStopKm !== undefined && distanceAlong >= nextStopKm - LIVE_STOP_RADIUS_KM) {
+    const stopSegment = arriveAtStop(trip, stopState.nextStopIndex, now)
+    statusMessage = `Arrived at ${stopSegment.location.name}`
+  }
+
+  if (isFrozen) {
+    statusMessage = `${describeFreeze(pauseState, now)} - ${statusMessage}`
+  }
+
+  // Destination reached within radius
+  const progress = totalDistance > 0 && distanceAlong < totalDistance - LIVE_STOP_RADIUS_KM
+    ? (distanceAlong / totalDistance) * 100
+    : 100
+
+  activeTrip.lastFix = { lat: fix.lat, lng: fix.lng, timestamp: now, distanceAlong }
+
+  await recordTripPosition(trip, {
+    progress,
+    lat: fix.lat,
+    lng: fix.lng,
+    speed: Math.round(speed),
+    etaSpeed: speed >= LIVE_MIN_ETA_SPEED ? speed : activeTrip.speed,
+    statusMessage,
+    isFrozen,
+    now,
+    heading: Number.isFinite(fix.heading) ? fix.heading : null,
+  })
+
+  return { progress, distanceAlong, onRoute, offsetKm: projection ? projection.offset : null, statusMessage }
 }
 
-// Stop tracking a trip
+// Stop tracking a trip (simulated interval or live GPS)
 const stopTripTracking = (tripId) => {
   const interval = trackingIntervals.get(tripId)
-  if (interval) {
-    clearInterval(interval)
+  if (interval || activeTrips.has(tripId)) {
+    getClock(tripId).clearInterval(interval)
     trackingIntervals.delete(tripId)
     activeTrips.delete(tripId)
     stopStates.delete(tripId) // Clean up stop state
+    pauseStates.delete(tripId)
+    simulations.delete(tripId)
     console.log(`🛑 Stopped tracking trip: ${tripId.slice(0, 8)}`)
   }
 }
@@ -371,20 +938,24 @@ const initializeTracking = async () => {
   console.log("🔄 Initializing ENHANCED backend tracking system with REAL stop durations...")
 
   try {
-    // Test Supabase connection first
-    const { data: testData, error: testError } = await supabase.from("buses").select("count").limit(1)
-
-    if (testError) {
-      console.error("❌ Supabase connection failed:", testError.message)
+    // Test storage connection first
+    try {
+      await storage.ping()
+    } catch (testError) {
+      console.error(`❌ Storage (${storage.name}) connection failed:`, testError.message)
       return
     }
 
-    console.log("✅ Supabase connection successful")
-
-    // Load in-progress trips
-    const { data: inProgressTrips, error } = await supabase.from("trips").select("*").eq("status", "IN_PROGRESS")
+    console.log(`✅ Storage (${storage.name}) connection successful`)
 
-    if (error) {
+    // Load in-progress (and paused) trips
+    let inProgressTrips
+    try {
+      inProgressTrips = []
+      for (const status of TRACKED_STATUSES) {
+        inProgressTrips.push(...(await storage.listTripsByStatus(status)))
+      }
+    } catch (error) {
       console.error("❌ Error loading in-progress trips:", error)
       return
     }
@@ -400,16 +971,15 @@ const initializeTracking = async () => {
     }
 
     // Position buses for pending trips at departure locations
-    const { data: pendingTrips, error: pendingError } = await supabase.from("trips").select("*").eq("status", "PENDING")
+    const pendingTrips = await storage.listTripsByStatus("PENDING").catch(() => null)
     
-    if (!pendingError && pendingTrips && pendingTrips.length > 0) {
+    if (pendingTrips && pendingTrips.length > 0) {
       console.log(`📍 Positioning ${pendingTrips.length} buses at departure locations...`)
       
       for (const trip of pendingTrips) {
         try {
           // Position bus at departure location
-          await supabase.from("bus_locations").delete().eq("bus_id", trip.bus_id)
-          await supabase.from("bus_locations").insert({
+          await storage.setBusLocation({
             bus_id: trip.bus_id,
             trip_id: trip.id,
             lat: trip.departure.lat,
@@ -431,13 +1001,40 @@ const initializeTracking = async () => {
 }
 
 // API Routes
-app.get("/api/health", (req, res) => {
+// Keys never copied into audit records
+const AUDIT_REDACTED_KEYS = /secret|password|token|key/i
+
+// Audit record of who issued a command, written once the response is sent
+const auditCommand = (action) => (req, res, next) => {
+  res.on("finish", () => {
+    const body = Object.fromEntries(
+      Object.entries(req.body || {}).map(([key, value]) => [key, AUDIT_REDACTED_KEYS.test(key) ? "[redacted]" : value])
+    )
+    storage.appendAuditRecord({
+      timestamp: new Date().toISOString(),
+      actor: req.principal?.id || null,
+      role: req.principal?.role || null,
+      auth_method: req.principal?.method || null,
+      action,
+      method: req.method,
+      path: req.originalUrl,
+      trip_id: req.params.tripId || null,
+      status_code: res.statusCode,
+      ip: req.ip,
+      body: Object.keys(body).length > 0 ? body : null,
+    }).catch(error => console.error(`Error writing audit record for ${action}:`, error))
+  })
+  next()
+}
+
+app.get("/api/health", requireRole("viewer"), (req, res) => {
   const activeTripsArray = Array.from(activeTrips.values()).map((trip) => ({
     id: trip.id,
     speed: trip.speed,
     distance: trip.totalDistance,
     estimatedTime: trip.estimatedTime,
-    elapsedMinutes: (Date.now() - trip.startTime) / (1000 * 60),
+    elapsedMinutes: (tripNow(trip.id) - trip.startTime - getPausedMs(trip.id)) / (1000 * 60),
+    clock: getClock(trip.id).type,
     hasStops: trip.segments ? trip.segments.filter(s => s.type === 'stop').length : 0
   }))
 
@@ -450,6 +1047,20 @@ app.get("/api/health", (req, res) => {
     activeTrips: activeTrips.size,
     activeStops: totalActiveStops,
     timestamp: new Date().toISOString(),
+    storage: storage.name,
+    streamClients: eventStream.clientCount,
+    routingProviders: getRoutingProviders().map((provider) => `${provider.name}:${provider.profile}`),
+    routeCache: routeCache.stats(),
+    tollTariffs: tollTariffs.size,
+    webhooks: webhooks.stats(),
+    scheduler: departureScheduler.status(),
+    timetables: {
+      generator: Boolean(timetableTimer),
+      horizonDays: TIMETABLE_HORIZON_DAYS,
+      holidays: holidays.size,
+      lastRun: lastTimetableGeneration,
+    },
+    auth: { enabled: auth.enabled, methods: auth.methods, role: req.principal.role },
     supabaseUrl: process.env.NEXT_PUBLIC_SUPABASE_URL ? "✅ Configured" : "❌ Missing",
     supabaseKey: process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY ? "✅ Configured" : "❌ Missing",
     trackingMode: "ENHANCED Route Preview (25-85 km/h) + REAL Stop Durations + Destination Parking",
@@ -459,31 +1070,107 @@ app.get("/api/health", (req, res) => {
   })
 })
 
-app.post("/api/trips/:tripId/start", async (req, res) => {
+// PENDING -> IN_PROGRESS, shared by the start route and the departure scheduler
+const startTrip = async (trip, { trackingMode = trip.tracking_mode || "simulated", simulation, startedBy }) => {
+  const changes = {
+    status: "IN_PROGRESS",
+    start_time: new Date().toISOString(),
+    tracking_mode: trackingMode,
+    started_by: startedBy,
+    ...(simulation !== undefined && { simulation }),
+  }
+
+  // Update trip status
+  await storage.updateTrip(trip.id, changes)
+
+  // Update bus status
+  await storage.updateBus(trip.bus_id, { is_active: true })
+
+  // Start ENHANCED tracking with REAL stops (unless realtime already picked it up)
+  if (!activeTrips.has(trip.id)) {
+    await startTripTracking({ ...trip, ...changes })
+  }
+}
+
+// Departure scheduler (SCHEDULER_ENABLED, SCHEDULER_INTERVAL_SECONDS, SCHEDULER_GRACE_MINUTES, default 30)
+const SCHEDULER_GRACE_MINUTES = process.env.SCHEDULER_GRACE_MINUTES ? Number(process.env.SCHEDULER_GRACE_MINUTES) : DEFAULT_GRACE_MINUTES
+if (!Number.isFinite(SCHEDULER_GRACE_MINUTES) || SCHEDULER_GRACE_MINUTES < 0) {
+  console.error("❌ Error: SCHEDULER_GRACE_MINUTES must be a number of minutes >= 0")
+  process.exit(1)
+}
+
+const departureScheduler = createDepartureScheduler({
+  listPendingTrips: () => storage.listTripsByStatus("PENDING"),
+  // Buses on a running trip: tracked here, or IN_PROGRESS in storage (e.g. live trips of another instance)
+  listBusyBusIds: async () => [
+    ...Array.from(activeTrips.values()).map(activeTrip => activeTrip.bus_id),
+    ...(await storage.listTripsByStatus("IN_PROGRESS")).map(trip => trip.bus_id),
+  ],
+  graceMinutes: SCHEDULER_GRACE_MINUTES,
+  intervalSeconds: Number(process.env.SCHEDULER_INTERVAL_SECONDS) || undefined,
+
+  startTrip: async (trip, { lateMinutes }) => {
+    const late = lateMinutes >= 1 ? ` (${Math.round(lateMinutes)}min late)` : ""
+    console.log(`⏰ Scheduled departure for trip ${trip.id.slice(0, 8)} at ${trip.scheduled_departure}${late} - starting`)
+    await startTrip(trip, { startedBy: "scheduler" })
+  },
+
+  markTrip: async (trip, state, { lateMinutes }) => {
+    await storage.updateTrip(trip.id, { schedule_status: state })
+
+    const payload = {
+      scheduledDeparture: trip.scheduled_departure,
+      lateMinutes,
+      lat: trip.departure.lat,
+      lng: trip.departure.lng,
+    }
+    if (state === "missed") {
+      console.warn(`⚠️ Trip ${trip.id.slice(0, 8)} missed its departure at ${trip.scheduled_departure} (${Math.round(lateMinutes)}min ago, outside grace window) - start it manually`)
+      emitTripEvent("trip.departure_missed", trip, payload)
+    } else {
+      console.log(`✋ Trip ${trip.id.slice(0, 8)} is due at ${trip.scheduled_departure} and waiting for dispatcher confirmation`)
+      emitTripEvent("trip.departure_awaiting_confirmation", trip, payload)
+    }
+  },
+})
+
+app.post("/api/trips/:tripId/start", requireRole("dispatcher"), auditCommand("trip.start"), async (req, res) => {
   try {
     const { tripId } = req.params
 
     // Get trip data
-    const { data: trip, error } = await supabase.from("trips").select("*").eq("id", tripId).single()
+    const trip = await storage.getTrip(tripId)
 
-    if (error || !trip) {
+    if (!trip) {
       return res.status(404).json({ error: "Trip not found" })
     }
 
-    // Update trip status
-    await supabase
-      .from("trips")
-      .update({
-        status: "IN_PROGRESS",
-        start_time: new Date().toISOString(),
-      })
-      .eq("id", tripId)
+    // Optional tracking mode override: simulated (default) or live GPS
+    const trackingMode = req.body?.trackingMode || trip.tracking_mode || "simulated"
+    if (!TRACKING_MODES.includes(trackingMode)) {
+      return res.status(400).json({ error: `trackingMode must be one of: ${TRACKING_MODES.join(", ")}` })
+    }
 
-    // Update bus status
-    await supabase.from("buses").update({ is_active: true }).eq("id", trip.bus_id)
+    // Optional simulation settings: { timeScale, step, seed (integer), startAt (epoch ms or ISO date) }
+    let simulation = req.body?.simulation
+    if (simulation !== undefined) {
+      const timeScale = Number(simulation?.timeScale ?? 1)
+      if (!simulation || typeof simulation !== "object" || !Number.isFinite(timeScale) || timeScale <= 0 || timeScale > 3600) {
+        return res.status(400).json({ error: "simulation.timeScale must be between 0 and 3600" })
+      }
+      if (simulation.seed !== undefined && simulation.seed !== null && !Number.isSafeInteger(simulation.seed)) {
+        return res.status(400).json({ error: "simulation.seed must be an integer" })
+      }
+      if (simulation.startAt !== undefined && simulation.startAt !== null) {
+        const startAt = typeof simulation.startAt === "number" ? simulation.startAt : Date.parse(simulation.startAt)
+        if (!Number.isFinite(startAt)) {
+          return res.status(400).json({ error: "simulation.startAt must be epoch milliseconds or an ISO date" })
+        }
+        simulation = { ...simulation, startAt }
+      }
+    }
 
-    // Start ENHANCED tracking with REAL stops
-    await startTripTracking({ ...trip, status: "IN_PROGRESS" })
+    await startTrip(trip, { trackingMode, simulation, startedBy: req.principal.id })
 
     const stopCount = trip.segments ? trip.segments.filter(s => s.type === 'stop').length : 0
     const totalStopDuration = trip.segments ? 
@@ -505,109 +1192,1323 @@ app.post("/api/trips/:tripId/start", async (req, res) => {
   }
 })
 
-app.post("/api/trips/:tripId/cancel", async (req, res) => {
+// Confirm a requires_confirmation departure (ahead of time, or once it is due)
+app.post("/api/trips/:tripId/confirm-departure", requireRole("dispatcher"), auditCommand("trip.confirm_departure"), async (req, res) => {
   try {
     const { tripId } = req.params
 
-    // Get trip data
-    const { data: trip, error } = await supabase.from("trips").select("*").eq("id", tripId).single()
-
-    if (error || !trip) {
+    const trip = await storage.getTrip(tripId)
+    if (!trip) {
       return res.status(404).json({ error: "Trip not found" })
     }
+    if (trip.status !== "PENDING") {
+      return res.status(409).json({ error: "Trip is not pending", status: trip.status })
+    }
 
-    // Stop tracking
-    stopTripTracking(tripId)
+    const confirmation = {
+      departure_confirmed_at: new Date().toISOString(),
+      departure_confirmed_by: req.principal.id,
+    }
+    await storage.updateTrip(tripId, confirmation)
 
-    // Update trip status
-    await supabase
-      .from("trips")
-      .update({
-        status: "CANCELLED",
-        end_time: new Date().toISOString(),
-      })
-      .eq("id", tripId)
+    // Already due: depart now instead of waiting for the next scheduler poll
+    const decision = evaluateDeparture({ ...trip, ...confirmation }, Date.now(), departureScheduler.status().graceMinutes)
+    if (decision === "start") {
+      await startTrip({ ...trip, ...confirmation }, { startedBy: req.principal.id })
+    }
 
-    // Update bus status and remove location (return to garage)
-    await supabase.from("buses").update({ is_active: false }).eq("id", trip.bus_id)
-    await supabase.from("bus_locations").delete().eq("bus_id", trip.bus_id)
+    res.json({
+      success: true,
+      started: decision === "start",
+      decision,
+      scheduledDeparture: trip.scheduled_departure || null,
+      message: decision === "start"
+        ? "Departure confirmed - trip started"
+        : decision === "missed"
+          ? "Departure confirmed, but the departure window has passed - start the trip manually"
+          : "Departure confirmed - trip will start at its scheduled time",
+    })
+  } catch (error) {
+    console.error("Error confirming departure:", error)
+    res.status(500).json({ error: "Failed to confirm departure" })
+  }
+})
 
-    res.json({ success: true, message: "Trip cancelled - Bus returned to garage" })
+// Upcoming and overdue scheduled departures
+app.get("/api/schedule", requireRole("viewer"), async (req, res) => {
+  try {
+    const now = Date.now()
+    const { graceMinutes } = departureScheduler.status()
+    const pendingTrips = await storage.listTripsByStatus("PENDING")
+
+    const departures = pendingTrips
+      .filter(trip => trip.scheduled_departure)
+      .sort((a, b) => Date.parse(a.scheduled_departure) - Date.parse(b.scheduled_departure))
+      .map(trip => ({
+        tripId: trip.id,
+        busId: trip.bus_id,
+        departure: trip.departure?.name,
+        destination: trip.destination?.name,
+        scheduledDeparture: trip.scheduled_departure,
+        requiresConfirmation: Boolean(trip.requires_confirmation),
+        confirmedAt: trip.departure_confirmed_at || null,
+        scheduleStatus: trip.schedule_status || null,
+        decision: evaluateDeparture(trip, now, graceMinutes),
+      }))
+
+    res.json({ scheduler: departureScheduler.status(), count: departures.length, departures })
   } catch (error) {
-    console.error("Error cancelling trip:", error)
-    res.status(500).json({ error: "Failed to cancel trip" })
+    console.error("Error getting schedule:", error)
+    res.status(500).json({ error: "Failed to get schedule" })
   }
 })
 
-app.get("/api/trips/active", (req, res) => {
-  const activeTripsArray = Array.from(activeTrips.values()).map((trip) => {
-    const stopState = stopStates.get(trip.id)
-    return {
-      id: trip.id,
-      bus_id: trip.bus_id,
-      speed: trip.speed,
-      totalDistance: trip.totalDistance,
-      estimatedTime: trip.estimatedTime,
-      startTime: trip.startTime,
-      elapsedMinutes: (Date.now() - trip.startTime) / (1000 * 60),
-      stopInfo: stopState ? {
-        totalStops: stopState.stopSegments.length,
-        currentStopIndex: stopState.currentStopIndex,
-        isAtStop: stopState.isAtStop,
-        totalStopDuration: stopState.totalStopDuration
-      } : null
+// Route templates: reusable ordered segments + the route calculated once on create
+// POST { name, segments: [{ type, order, location: { lat, lng, name }, stop_duration?, toll_*_gate? }] }
+
+const describeRouteTemplate = (template) => ({
+  id: template.id,
+  name: template.name,
+  segments: template.segments.length,
+  distance: template.distance,
+  estimatedDuration: template.estimated_duration,
+  routePoints: readRouteCoordinates(template).length,
+  createdAt: template.created_at,
+})
+
+// Segments without an order keep their array position (anything else is left for validateSegments)
+const withDefaultSegmentOrder = (segments) =>
+  Array.isArray(segments)
+    ? segments.map((segment, i) => (segment && typeof segment === "object" ? { ...segment, order: segment.order ?? i } : segment))
+    : segments
+
+app.post("/api/route-templates", requireRole("dispatcher"), auditCommand("route_template.create"), async (req, res) => {
+  try {
+    const { name, segments } = req.body || {}
+    if (typeof name !== "string" || name.trim() === "") {
+      return res.status(400).json({ error: "name is required" })
+    }
+    const orderedSegments = withDefaultSegmentOrder(segments)
+    const validation = validateSegments(orderedSegments)
+    if (!validation.valid) {
+      return res.status(400).json({ error: "Invalid segments", errors: validation.errors, warnings: validation.warnings })
     }
-  })
 
-  res.json(activeTripsArray)
+    const routeData = await calculateRouteFromSegments(orderedSegments)
+    const template = {
+      id: crypto.randomUUID(),
+      name: name.trim(),
+      segments: orderedSegments,
+      ...routeColumns(routeData.coordinates, ROUTE_STORAGE_FORMAT),
+      distance: routeData.distance,
+      estimated_duration: routeData.duration,
+      route_legs: routeData.legs || [],
+      created_at: new Date().toISOString(),
+    }
+    await storage.insertRouteTemplate(template)
+
+    console.log(`🗂️ Route template "${template.name}" created: ${template.distance.toFixed(1)} km, ${routeData.coordinates.length} points`)
+    res.status(201).json({ ...describeRouteTemplate(template), legs: template.route_legs, warnings: validation.warnings })
+  } catch (error) {
+    console.error("Error creating route template:", error)
+    res.status(500).json({ error: "Failed to create route template" })
+  }
 })
 
-// Enhanced real-time subscriptions
-const setupRealtimeSubscriptions = () => {
-  console.log("📡 Setting up ENHANCED real-time subscriptions with REAL stop support...")
+app.get("/api/route-templates", requireRole("viewer"), async (req, res) => {
+  try {
+    const templates = await storage.listRouteTemplates()
+    res.json({ count: templates.length, templates: templates.map(describeRouteTemplate) })
+  } catch (error) {
+    console.error("Error listing route templates:", error)
+    res.status(500).json({ error: "Failed to list route templates" })
+  }
+})
 
-  // Listen for trip changes with bus positioning
-  supabase
-    .channel("backend_trips")
-    .on("postgres_changes", { event: "*", schema: "public", table: "trips" }, async (payload) => {
-      console.log("🗺️ Backend trip change:", payload.eventType, payload.new?.id || payload.old?.id)
-
-      if (payload.eventType === "UPDATE") {
-        const trip = payload.new
-
-        if (trip.status === "IN_PROGRESS" && !activeTrips.has(trip.id)) {
-          console.log("🆕 New trip to track with ENHANCED REAL stops:", trip.id.slice(0, 8))
-          await startTripTracking(trip)
-        } else if (trip.status !== "IN_PROGRESS" && activeTrips.has(trip.id)) {
-          console.log("🛑 Trip no longer in progress:", trip.id.slice(0, 8))
-          stopTripTracking(trip.id)
-        }
-      } else if (payload.eventType === "INSERT") {
-        const trip = payload.new
-        
-        // Position bus at departure for new pending trips
-        if (trip.status === "PENDING") {
-          try {
-            await supabase.from("bus_locations").delete().eq("bus_id", trip.bus_id)
-            await supabase.from("bus_locations").insert({
-              bus_id: trip.bus_id,
-              trip_id: trip.id,
-              lat: trip.departure.lat,
-              lng: trip.departure.lng,
-              progress: 0,
-              elapsed_time_minutes: 0,
-              timestamp: Date.now(),
-            })
-            console.log(`📍 New trip: Bus positioned at ${trip.departure.name}`)
-          } catch (positionError) {
-            console.error("Error positioning bus for new trip:", positionError)
-          }
-        }
+app.get("/api/route-templates/:templateId", requireRole("viewer"), async (req, res) => {
+  try {
+    const encoding = parseGeometryEncoding(req.query.encoding)
+    if (!encoding) {
+      return res.status(400).json(invalidEncodingError)
+    }
+
+    const template = await storage.getRouteTemplate(req.params.templateId)
+    if (!template) {
+      return res.status(404).json({ error: "Route template not found" })
+    }
+    const { route, route_polyline, ...rest } = template
+    const coordinates = readRouteCoordinates(template)
+    res.json({ ...rest, ...(encoding === "polyline" ? { route_polyline: encodePolyline(coordinates) } : { route: coordinates }) })
+  } catch (error) {
+    console.error("Error getting route template:", error)
+    res.status(500).json({ error: "Failed to get route template" })
+  }
+})
+
+app.delete("/api/route-templates/:templateId", requireRole("dispatcher"), auditCommand("route_template.delete"), async (req, res) => {
+  try {
+    const { templateId } = req.params
+    const timetables = await storage.listTimetables()
+    const usedBy = timetables.filter(timetable => timetable.route_template_id === templateId).map(timetable => timetable.id)
+    if (usedBy.length > 0) {
+      return res.status(409).json({ error: "Route template is used by timetables", timetables: usedBy })
+    }
+
+    const removed = await storage.deleteRouteTemplate(templateId)
+    if (!removed) {
+      return res.status(404).json({ error: "Route template not found" })
+    }
+    res.json({ success: true })
+  } catch (error) {
+    console.error("Error deleting route template:", error)
+    res.status(500).json({ error: "Failed to delete route template" })
+  }
+})
+
+// Timetables: template + bus + days of week + local departure times
+// POST { name, templateId, busId, daysOfWeek: [1..7 | "mon"...], departureTimes: ["06:00"], validFrom?, validUntil?,
+//        exceptionDates?: ["2026-12-25"], runsOnHolidays?, requiresConfirmation?, timeZone?, active? }
+const TIMETABLE_HORIZON_DAYS = Number(process.env.TIMETABLE_HORIZON_DAYS) || 7
+const TIMETABLE_MAX_HORIZON_DAYS = 60
+const TIMETABLE_GENERATE_INTERVAL_HOURS = Number(process.env.TIMETABLE_GENERATE_INTERVAL_HOURS) || 6
+
+// Referenced template and bus must exist
+const checkTimetableReferences = async (changes) => {
+  if (changes.route_template_id && !(await storage.getRouteTemplate(changes.route_template_id))) {
+    return "Route template not found"
+  }
+  if (changes.bus_id && !(await storage.getBus(changes.bus_id))) {
+    return "Bus not found"
+  }
+  return null
+}
+
+app.post("/api/timetables", requireRole("dispatcher"), auditCommand("timetable.create"), async (req, res) => {
+  try {
+    const { changes, error } = validateTimetableInput(req.body)
+    if (error) {
+      return res.status(400).json({ error })
+    }
+    const referenceError = await checkTimetableReferences(changes)
+    if (referenceError) {
+      return res.status(400).json({ error: referenceError })
+    }
+
+    const timetable = {
+      valid_from: null,
+      valid_until: null,
+      exception_dates: [],
+      runs_on_holidays: false,
+      requires_confirmation: false,
+      time_zone: null,
+      active: true,
+      ...changes,
+      id: crypto.randomUUID(),
+      created_at: new Date().toISOString(),
+    }
+    await storage.insertTimetable(timetable)
+
+    console.log(`🗓️ Timetable "${timetable.name}" created: days ${timetable.days_of_week.join(",")} at ${timetable.departure_times.join(", ")}`)
+    res.status(201).json(timetable)
+  } catch (error) {
+    console.error("Error creating timetable:", error)
+    res.status(500).json({ error: "Failed to create timetable" })
+  }
+})
+
+app.get("/api/timetables", requireRole("viewer"), async (req, res) => {
+  try {
+    const timetables = await storage.listTimetables()
+    res.json({ count: timetables.length, timetables })
+  } catch (error) {
+    console.error("Error listing timetables:", error)
+    res.status(500).json({ error: "Failed to list timetables" })
+  }
+})
+
+app.get("/api/timetables/:timetableId", requireRole("viewer"), async (req, res) => {
+  try {
+    const timetable = await storage.getTimetable(req.params.timetableId)
+    if (!timetable) {
+      return res.status(404).json({ error: "Timetable not found" })
+    }
+    res.json(timetable)
+  } catch (error) {
+    console.error("Error getting timetable:", error)
+    res.status(500).json({ error: "Failed to get timetable" })
+  }
+})
+
+// Partial update; trips already generated keep their schedule
+app.patch("/api/timetables/:timetableId", requireRole("dispatcher"), auditCommand("timetable.update"), async (req, res) => {
+  try {
+    const { timetableId } = req.params
+    const timetable = await storage.getTimetable(timetableId)
+    if (!timetable) {
+      return res.status(404).json({ error: "Timetable not found" })
+    }
+
+    const { changes, error } = validateTimetableInput(req.body, { partial: true })
+    if (error) {
+      return res.status(400).json({ error })
+    }
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: "No timetable fields to update" })
+    }
+    const referenceError = await checkTimetableReferences(changes)
+    if (referenceError) {
+      return res.status(400).json({ error: referenceError })
+    }
+
+    const updates = { ...changes, updated_at: new Date().toISOString() }
+    await storage.updateTimetable(timetableId, updates)
+    res.json({ ...timetable, ...updates })
+  } catch (error) {
+    console.error("Error updating timetable:", error)
+    res.status(500).json({ error: "Failed to update timetable" })
+  }
+})
+
+app.delete("/api/timetables/:timetableId", requireRole("dispatcher"), auditCommand("timetable.delete"), async (req, res) => {
+  try {
+    const removed = await storage.deleteTimetable(req.params.timetableId)
+    if (!removed) {
+      return res.status(404).json({ error: "Timetable not found" })
+    }
+    res.json({ success: true })
+  } catch (error) {
+    console.error("Error deleting timetable:", error)
+    res.status(500).json({ error: "Failed to delete timetable" })
+  }
+})
+
+/*
+ * Materialize PENDING trips for the next `days` days of every active timetable.
+ * Idempotent: runs that already have a trip (timetable_run_key) are not created again,
+ * so a trip that was cancelled or edited is left alone.
+ */
+let timetableGenerating = false
+let lastTimetableGeneration = null
+
+const generateTimetableTrips = async ({ days = TIMETABLE_HORIZON_DAYS, timetableId = null } = {}) => {
+  const now = Date.now()
+  const summary = { days, created: [], existing: 0, skipped: [], errors: [] }
+  const timetables = timetableId
+    ? [await storage.getTimetable(timetableId)].filter(Boolean)
+    : (await storage.listTimetables()).filter(timetable => timetable.active !== false)
+
+  for (const timetable of timetables) {
+    try {
+      const template = await storage.getRouteTemplate(timetable.route_template_id)
+      if (!template) {
+        summary.errors.push({ timetableId: timetable.id, error: "Route template not found" })
+        continue
+      }
+
+      const { runs, skipped } = planTimetableRuns(timetable, {
+        now,
+        days,
+        holidays,
+        timeZone: timetable.time_zone || TIMETABLE_TIME_ZONE,
+      })
+      skipped.forEach(skip => summary.skipped.push({ timetableId: timetable.id, ...skip }))
+
+      const existingRuns = new Set((await storage.listTripsByTimetable(timetable.id)).map(trip => trip.timetable_run_key))
+      for (const run of runs) {
+        if (existingRuns.has(run.runKey)) {
+          summary.existing++
+          continue
+        }
+        const trip = buildTripFromTemplate(template, timetable, run, crypto.randomUUID())
+        await storage.insertTrip(trip)
+        summary.created.push({ tripId: trip.id, timetableId: timetable.id, scheduledDeparture: trip.scheduled_departure })
       }
+    } catch (error) {
+      console.error(`❌ Timetable ${timetable.id} generation failed:`, error)
+      summary.errors.push({ timetableId: timetable.id, error: error.message })
+    }
+  }
+
+  lastTimetableGeneration = { at: new Date(now).toISOString(), created: summary.created.length, errors: summary.errors.length }
+  if (summary.created.length > 0) {
+    console.log(`🗓️ Generated ${summary.created.length} trips from ${timetables.length} timetables (next ${days} days)`)
+  }
+  return summary
+}
+
+// Manual run, e.g. right after creating a timetable: POST { days?, timetableId? }
+app.post("/api/timetables/generate", requireRole("dispatcher"), auditCommand("timetable.generate"), async (req, res) => {
+  try {
+    const { days = TIMETABLE_HORIZON_DAYS, timetableId = null } = req.body || {}
+    if (!Number.isInteger(days) || days < 1 || days > TIMETABLE_MAX_HORIZON_DAYS) {
+      return res.status(400).json({ error: `days must be an integer between 1 and ${TIMETABLE_MAX_HORIZON_DAYS}` })
+    }
+    if (timetableId && !(await storage.getTimetable(timetableId))) {
+      return res.status(404).json({ error: "Timetable not found" })
+    }
+    if (timetableGenerating) {
+      return res.status(409).json({ error: "Timetable generation already running" })
+    }
+
+    timetableGenerating = true
+    try {
+      res.json(await generateTimetableTrips({ days, timetableId }))
+    } finally {
+      timetableGenerating = false
+    }
+  } catch (error) {
+    console.error("Error generating timetable trips:", error)
+    res.status(500).json({ error: "Failed to generate timetable trips" })
+  }
+})
+
+// Periodic generation keeps the horizon filled (TIMETABLE_GENERATOR_ENABLED, TIMETABLE_GENERATE_INTERVAL_HOURS)
+let timetableTimer = null
+
+const runTimetableGenerator = async () => {
+  if (timetableGenerating) return
+  timetableGenerating = true
+  try {
+    await generateTimetableTrips()
+  } catch (error) {
+    console.error("❌ Timetable generation failed:", error)
+  } finally {
+    timetableGenerating = false
+  }
+}
+
+// GTFS static feed for journey planners: scheduled trips from today for ?days= (default 30)
+// Agency: GTFS_AGENCY_NAME, GTFS_AGENCY_URL, GTFS_AGENCY_LANG, GTFS_AGENCY_PHONE, timezone TIMETABLE_TIME_ZONE
+const GTFS_MAX_DAYS = 90
+const GTFS_TRIP_STATUSES = ["PENDING", "IN_PROGRESS", "PAUSED", "COMPLETED"]
+
+app.get("/api/gtfs.zip", requireRole("viewer"), async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? DEFAULT_FEED_DAYS : Number(req.query.days)
+    if (!Number.isInteger(days) || days < 1 || days > GTFS_MAX_DAYS) {
+      return res.status(400).json({ error: `days must be an integer between 1 and ${GTFS_MAX_DAYS}` })
+    }
+
+    const tripLists = await Promise.all(GTFS_TRIP_STATUSES.map(status => storage.listTripsByStatus(status)))
+    const templates = await storage.listRouteTemplates()
+
+    const feed = buildGtfsFeed(tripLists.flat(), {
+      agency: {
+        name: process.env.GTFS_AGENCY_NAME || "Bus Operator",
+        url: process.env.GTFS_AGENCY_URL || `http://localhost:${PORT}`,
+        lang: process.env.GTFS_AGENCY_LANG || "id",
+        phone: process.env.GTFS_AGENCY_PHONE || null,
+      },
+      timeZone: TIMETABLE_TIME_ZONE,
+      days,
+      routeNames: new Map(templates.map(template => [template.id, template.name])),
     })
-    .subscribe((status) => {
-      console.log("📡 Backend trips subscription:", status)
+
+    console.log(`🚏 GTFS feed: ${feed.counts.trips} trips, ${feed.counts.stops} stops, ${feed.counts.routes} routes (${feed.serviceDates.start} - ${feed.serviceDates.end})`)
+    res.set({
+      "Content-Type": "application/zip",
+      "Content-Disposition": `attachment; filename="gtfs-${feed.serviceDates.start}.zip"`,
     })
+    res.send(createZipArchive(feed.files))
+  } catch (error) {
+    console.error("Error building GTFS feed:", error)
+    res.status(500).json({ error: "Failed to build GTFS feed" })
+  }
+})
+
+// GTFS-Realtime feeds for third-party apps (protobuf, ?format=json for debugging)
+const collectRealtimeVehicles = () =>
+  Promise.all(Array.from(activeTrips.values()).map(async (activeTrip) => {
+    const stopState = stopStates.get(activeTrip.id)
+    const [location, bus] = await Promise.all([
+      storage.getBusLocation(activeTrip.bus_id).catch(() => null),
+      storage.getBus(activeTrip.bus_id).catch(() => null),
+    ])
+    // Latest bus_locations row, unless it still belongs to a previous trip
+    const current = location && (!location.trip_id || location.trip_id === activeTrip.id)
+      ? location
+      : activeTrip.lastPosition && { ...activeTrip.lastPosition, speed: activeTrip.speed, timestamp: tripNow(activeTrip.id) }
+
+    return {
+      trip: activeTrip,
+      bus,
+      location: current,
+      routeIndex: activeTrip.routeIndex,
+      travelledKm: ((current?.progress ?? activeTrip.progress ?? 0) / 100) * activeTrip.totalDistance,
+      stopSegment: stopState?.isAtStop ? stopState.stopSegments[stopState.currentStopIndex] : null,
+      eta: activeTrip.eta || null,
+    }
+  }))
+
+const sendGtfsRealtime = (req, res, feed) => {
+  if (req.query.format === "json") {
+    return res.json(feed)
+  }
+  res.set("Content-Type", "application/x-protobuf")
+  res.send(encodeFeedMessage(feed))
+}
+
+app.get("/api/gtfs-rt/vehicle-positions", requireRole("viewer"), async (req, res) => {
+  try {
+    const vehicles = await collectRealtimeVehicles()
+    sendGtfsRealtime(req, res, buildVehiclePositionsFeed(vehicles, { timeZone: TIMETABLE_TIME_ZONE }))
+  } catch (error) {
+    console.error("Error building GTFS-RT vehicle positions:", error)
+    res.status(500).json({ error: "Failed to build vehicle positions feed" })
+  }
+})
+
+app.get("/api/gtfs-rt/trip-updates", requireRole("viewer"), async (req, res) => {
+  try {
+    const vehicles = await collectRealtimeVehicles()
+    sendGtfsRealtime(req, res, buildTripUpdatesFeed(vehicles, { timeZone: TIMETABLE_TIME_ZONE }))
+  } catch (error) {
+    console.error("Error building GTFS-RT trip updates:", error)
+    res.status(500).json({ error: "Failed to build trip updates feed" })
+  }
+})
+
+app.post("/api/trips/:tripId/cancel", requireRole("dispatcher"), auditCommand("trip.cancel"), async (req, res) => {
+  try {
+    const { tripId } = req.params
+
+    // Get trip data
+    const trip = await storage.getTrip(tripId)
+
+    if (!trip) {
+      return res.status(404).json({ error: "Trip not found" })
+    }
+
+    // Stop tracking
+    stopTripTracking(tripId)
+
+    // Update trip status
+    await storage.updateTrip(tripId, {
+      status: "CANCELLED",
+      end_time: new Date().toISOString(),
+    })
+
+    // Update bus status and remove location (return to garage)
+    await storage.updateBus(trip.bus_id, { is_active: false })
+    await storage.clearBusLocation(trip.bus_id)
+
+    emitTripEvent("trip.cancelled", trip, { progress: trip.progress, issuedBy: req.principal.id })
+
+    res.json({ success: true, message: "Trip cancelled - Bus returned to garage" })
+  } catch (error) {
+    console.error("Error cancelling trip:", error)
+    res.status(500).json({ error: "Failed to cancel trip" })
+  }
+})
+
+// Step-mode simulation: run the next N ticks immediately
+app.post("/api/trips/:tripId/step", requireRole("dispatcher"), auditCommand("trip.step"), async (req, res) => {
+  try {
+    const { tripId } = req.params
+    const ticks = req.body?.ticks === undefined ? 1 : Number(req.body.ticks)
+
+    if (!Number.isInteger(ticks) || ticks <= 0 || ticks > 10000) {
+      return res.status(400).json({ error: "ticks must be an integer between 1 and 10000" })
+    }
+
+    if (!activeTrips.has(tripId)) {
+      return res.status(409).json({ error: "Trip is not being tracked" })
+    }
+
+    const clock = getClock(tripId)
+    if (clock.type !== "step") {
+      return res.status(409).json({ error: "Trip is not running a step-mode simulation" })
+    }
+
+    await clock.advance(ticks * TRACKING_INTERVAL_SECONDS * 1000)
+
+    const trip = await storage.getTrip(tripId)
+    res.json({
+      success: true,
+      ticks,
+      clock: new Date(clock.now()).toISOString(),
+      status: trip?.status,
+      progress: trip?.progress,
+    })
+  } catch (error) {
+    console.error("Error stepping trip:", error)
+    res.status(500).json({ error: "Failed to step trip" })
+  }
+})
+
+app.post("/api/trips/:tripId/pause", requireRole("dispatcher"), auditCommand("trip.pause"), async (req, res) => {
+  try {
+    const { tripId } = req.params
+
+    const trip = await storage.getTrip(tripId)
+
+    if (!trip) {
+      return res.status(404).json({ error: "Trip not found" })
+    }
+
+    if (!activeTrips.has(tripId)) {
+      return res.status(409).json({ error: "Trip is not being tracked" })
+    }
+
+    if (trip.status !== "IN_PROGRESS" || isTripFrozen(pauseStates.get(tripId), tripNow(tripId))) {
+      return res.status(409).json({ error: "Trip is not in progress (already paused or on hold)" })
+    }
+
+    freezeTrip(tripId, { paused: true, reason: req.body?.reason || null })
+
+    await storage.updateTrip(tripId, { status: "PAUSED", speed: 0 })
+
+    emitTripEvent("trip.paused", trip, { reason: req.body?.reason || null, issuedBy: req.principal.id })
+
+    res.json({ success: true, message: "Trip paused - Bus holding at current position" })
+  } catch (error) {
+    console.error("Error pausing trip:", error)
+    res.status(500).json({ error: "Failed to pause trip" })
+  }
+})
+
+app.post("/api/trips/:tripId/resume", requireRole("dispatcher"), auditCommand("trip.resume"), async (req, res) => {
+  try {
+    const { tripId } = req.params
+
+    const trip = await storage.getTrip(tripId)
+
+    if (!trip) {
+      return res.status(404).json({ error: "Trip not found" })
+    }
+
+    if (!activeTrips.has(tripId)) {
+      return res.status(409).json({ error: "Trip is not being tracked" })
+    }
+
+    // Resume clears both a pause and any running hold
+    const pauseState = pauseStates.get(tripId)
+    if (!isTripFrozen(pauseState, tripNow(tripId))) {
+      return res.status(409).json({ error: "Trip is not paused or on hold" })
+    }
+
+    pauseState.paused = false
+    pauseState.holdUntil = null
+    releaseTripFreeze(tripId)
+
+    await storage.updateTrip(tripId, { status: "IN_PROGRESS" })
+
+    emitTripEvent("trip.resumed", trip, { pausedMinutes: getPausedMs(tripId) / (1000 * 60), issuedBy: req.principal.id })
+
+    res.json({
+      success: true,
+      message: "Trip resumed",
+      pausedMinutes: getPausedMs(tripId) / (1000 * 60),
+    })
+  } catch (error) {
+    console.error("Error resuming trip:", error)
+    res.status(500).json({ error: "Failed to resume trip" })
+  }
+})
+
+app.post("/api/trips/:tripId/hold", requireRole("dispatcher"), auditCommand("trip.hold"), async (req, res) => {
+  try {
+    const { tripId } = req.params
+    const minutes = Number(req.body?.minutes)
+
+    if (!Number.isFinite(minutes) || minutes <= 0) {
+      return res.status(400).json({ error: "minutes must be a positive number" })
+    }
+
+    const trip = await storage.getTrip(tripId)
+
+    if (!trip) {
+      return res.status(404).json({ error: "Trip not found" })
+    }
+
+    if (!activeTrips.has(tripId)) {
+      return res.status(409).json({ error: "Trip is not being tracked" })
+    }
+
+    const holdUntil = tripNow(tripId) + minutes * 60 * 1000
+    freezeTrip(tripId, { holdUntil, reason: req.body?.reason || null })
+
+    await storage.updateTrip(tripId, { speed: 0 })
+
+    emitTripEvent("trip.held", trip, { minutes, holdUntil: new Date(holdUntil).toISOString(), issuedBy: req.principal.id })
+
+    res.json({
+      success: true,
+      message: `Bus holding at current position for ${minutes} minutes`,
+      holdUntil: new Date(holdUntil).toISOString(),
+    })
+  } catch (error) {
+    console.error("Error holding trip:", error)
+    res.status(500).json({ error: "Failed to hold trip" })
+  }
+})
+
+// Device authentication: X-Device-Key must match the bus device_key or one of DEVICE_API_KEYS
+const isAuthorizedDevice = (key, bus) => {
+  if (!key) return false
+  const allowed = (process.env.DEVICE_API_KEYS || "").split(",").map(k => k.trim()).filter(Boolean)
+  if (bus.device_key) allowed.push(bus.device_key)
+
+  const given = Buffer.from(String(key))
+  return allowed.some((candidate) => {
+    const expected = Buffer.from(candidate)
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  })
+}
+
+// { lat, lng, speed?, heading?, timestamp? } -> normalized fix, or null when invalid
+const parseFix = (body) => {
+  const lat = Number(body?.lat)
+  const lng = Number(body?.lng)
+  if (!isValidCoordinate(lat, lng)) return null
+
+  const timestamp = body.timestamp === undefined ? Date.now() : parseTimestamp(body.timestamp)
+  if (timestamp === null) return null
+
+  const optionalNumber = (value) => (value === undefined || value === null || value === "" ? undefined : Number(value))
+  return { lat, lng, speed: optionalNumber(body.speed), heading: optionalNumber(body.heading), timestamp }
+}
+
+// Live GPS ingestion: one fix or an array of fixes for the bus's live-tracked trip
+app.post("/api/buses/:busId/positions", async (req, res) => {
+  try {
+    const { busId } = req.params
+
+    const bus = await storage.getBus(busId)
+
+    if (!bus) {
+      return res.status(404).json({ error: "Bus not found" })
+    }
+
+    if (!isAuthorizedDevice(req.get("x-device-key"), bus)) {
+      return res.status(401).json({ error: "Invalid or missing device key" })
+    }
+
+    const activeTrip = Array.from(activeTrips.values()).find((t) => t.bus_id === busId && t.trackingMode === "live")
+
+    if (!activeTrip) {
+      return res.status(409).json({ error: "No live-tracked trip in progress for this bus" })
+    }
+
+    const rawFixes = Array.isArray(req.body) ? req.body : [req.body]
+    const fixes = rawFixes.map(parseFix)
+    const invalidIndex = fixes.findIndex((fix) => fix === null)
+
+    if (invalidIndex !== -1) {
+      return res.status(400).json({ error: `Invalid fix at index ${invalidIndex}: lat/lng and timestamp must be valid` })
+    }
+
+    const results = []
+    for (const fix of fixes.sort((a, b) => a.timestamp - b.timestamp)) {
+      const liveTrip = activeTrips.get(activeTrip.id)
+      if (!liveTrip) break // completed by an earlier fix
+
+      if (liveTrip.lastFix && fix.timestamp <= liveTrip.lastFix.timestamp) {
+        results.push({ timestamp: fix.timestamp, accepted: false, reason: "stale" })
+        continue
+      }
+
+      const trip = await storage.getTrip(activeTrip.id)
+      if (!trip || !TRACKED_STATUSES.includes(trip.status)) {
+        stopTripTracking(activeTrip.id)
+        break
+      }
+
+      results.push({ timestamp: fix.timestamp, accepted: true, ...(await ingestPositionFix(trip, fix)) })
+    }
+
+    res.json({ success: true, tripId: activeTrip.id, results })
+  } catch (error) {
+    console.error("Error ingesting bus positions:", error)
+    res.status(500).json({ error: "Failed to ingest bus positions" })
+  }
+})
+
+// Trip editor check before saving: validate segments, then calculate the route they describe
+// POST { segments, vehicleClass? } -> 400 { valid: false, errors, warnings } | { valid: true, warnings, route, tolls }
+// ?encoding=coordinates (default, [{ lat, lng }]) | polyline (Google encoded polyline, precision 5)
+const GEOMETRY_ENCODINGS = ["coordinates", "polyline"]
+
+const parseGeometryEncoding = (value) => {
+  const encoding = value === undefined || value === "" ? "coordinates" : String(value)
+  return GEOMETRY_ENCODINGS.includes(encoding) ? encoding : null
+}
+
+const geometryOutput = (coordinates, encoding) =>
+  encoding === "polyline" ? { polyline: encodePolyline(coordinates) } : { coordinates }
+
+const invalidEncodingError = { error: `encoding must be one of ${GEOMETRY_ENCODINGS.join(", ")}` }
+
+app.post("/api/routes/preview", requireRole("dispatcher"), async (req, res) => {
+  try {
+    const { vehicleClass } = req.body || {}
+    const segments = withDefaultSegmentOrder(req.body?.segments)
+    const encoding = parseGeometryEncoding(req.query.encoding ?? req.body?.encoding)
+    if (!encoding) {
+      return res.status(400).json(invalidEncodingError)
+    }
+
+    const validation = validateSegments(segments)
+    if (!validation.valid) {
+      return res.status(400).json({ valid: false, errors: validation.errors, warnings: validation.warnings })
+    }
+
+    const routeData = await calculateRouteFromSegments(segments)
+    const warnings = [...validation.warnings]
+
+    const degradedLegs = findDegradedLegs(routeData.legs)
+    degradedLegs.forEach(leg => warnings.push({
+      index: null,
+      segmentId: leg.to.segmentId,
+      order: leg.to.order,
+      field: null,
+      code: "routing_fallback",
+      message: `Leg ${leg.from.name || leg.from.type} -> ${leg.to.name || leg.to.type} is ${leg.source === "direct" ? "a straight line" : "from an expired cache entry"} (routing providers unavailable)`,
+    }))
+
+    let tolls = null
+    if (hasTollSegments(segments)) {
+      tolls = computeTripTolls(segments, tollTariffs, vehicleClass || tollTariffs.defaultClass)
+      if (!tolls.complete) {
+        warnings.push({ index: null, segmentId: null, order: null, field: null, code: "toll_tariff_missing", message: "No tariff for some toll sections; toll cost is incomplete" })
+      }
+    }
+
+    res.json({
+      valid: true,
+      warnings,
+      route: {
+        ...geometryOutput(routeData.coordinates, encoding),
+        points: routeData.coordinates.length,
+        distance: routeData.distance,
+        duration: routeData.duration,
+        legs: routeData.legs || [],
+      },
+      tolls,
+    })
+  } catch (error) {
+    console.error("Error previewing route:", error)
+    res.status(500).json({ error: "Failed to preview route" })
+  }
+})
+
+app.get("/api/routes/cache", requireRole("viewer"), (req, res) => {
+  res.json(routeCache.stats())
+})
+
+// Manual invalidation: ?key=<cache key> or ?profile=osrm:driving (or driving for every provider), no query clears everything
+app.delete("/api/routes/cache", requireRole("admin"), auditCommand("routes.cache.invalidate"), (req, res) => {
+  const removed = routeCache.invalidate({
+    key: req.query.key || null,
+    profile: req.query.profile || null,
+  })
+  res.json({ success: true, removed })
+})
+
+// Webhook subscriptions: POST { url, events?: ["TRIP_STARTED", ...], secret?, description? }
+const WEBHOOK_EVENT_TYPES = Object.values(TRIP_EVENT_LOG_TYPES)
+
+const parseHttpUrl = (value) => {
+  try {
+    const url = new URL(value)
+    return ["http:", "https:"].includes(url.protocol) ? url : null
+  } catch (error) {
+    return null
+  }
+}
+
+app.post("/api/webhooks", requireRole("admin"), auditCommand("webhook.create"), async (req, res) => {
+  try {
+    const { url, events = [], secret, description } = req.body || {}
+
+    const parsedUrl = parseHttpUrl(url)
+    if (!parsedUrl) {
+      return res.status(400).json({ error: "url must be an http(s) URL" })
+    }
+
+    if (!Array.isArray(events) || events.some(type => !WEBHOOK_EVENT_TYPES.includes(type))) {
+      return res.status(400).json({ error: "events must be a list of event types", eventTypes: WEBHOOK_EVENT_TYPES })
+    }
+
+    if (secret !== undefined && (typeof secret !== "string" || secret.length < 16)) {
+      return res.status(400).json({ error: "secret must be a string of at least 16 characters" })
+    }
+
+    const webhook = await webhooks.create({
+      url: parsedUrl.toString(),
+      events: Array.from(new Set(events)),
+      secret: secret || null,
+      description: typeof description === "string" ? description : null,
+    })
+
+    console.log(`🔔 Webhook ${webhook.id} subscribed: ${webhook.url} (${webhook.events.join(", ") || "all events"})`)
+    res.status(201).json(webhook)
+  } catch (error) {
+    console.error("Error creating webhook:", error)
+    res.status(500).json({ error: "Failed to create webhook" })
+  }
+})
+
+app.get("/api/webhooks", requireRole("admin"), (req, res) => {
+  res.json({ eventTypes: WEBHOOK_EVENT_TYPES, webhooks: webhooks.list() })
+})
+
+app.get("/api/webhooks/dead-letters", requireRole("admin"), async (req, res) => {
+  try {
+    const entries = await webhooks.listDeadLetters()
+    res.json({ count: entries.length, deadLetters: entries })
+  } catch (error) {
+    console.error("Error listing webhook dead letters:", error)
+    res.status(500).json({ error: "Failed to list webhook dead letters" })
+  }
+})
+
+app.post("/api/webhooks/dead-letters/:deliveryId/redeliver", requireRole("admin"), auditCommand("webhook.redeliver"), async (req, res) => {
+  try {
+    const result = await webhooks.redeliver(req.params.deliveryId)
+
+    if (!result) {
+      return res.status(404).json({ error: "Dead letter not found" })
+    }
+    if (!result.queued) {
+      return res.status(409).json({ error: "Webhook subscription no longer exists" })
+    }
+
+    res.json({ success: true, message: "Delivery queued" })
+  } catch (error) {
+    console.error("Error redelivering webhook:", error)
+    res.status(500).json({ error: "Failed to redeliver webhook" })
+  }
+})
+
+app.delete("/api/webhooks/:webhookId", requireRole("admin"), auditCommand("webhook.delete"), async (req, res) => {
+  try {
+    const removed = await webhooks.remove(req.params.webhookId)
+
+    if (!removed) {
+      return res.status(404).json({ error: "Webhook not found" })
+    }
+
+    res.json({ success: true })
+  } catch (error) {
+    console.error("Error deleting webhook:", error)
+    res.status(500).json({ error: "Failed to delete webhook" })
+  }
+})
+
+// Command audit trail: GET /api/audit?tripId=&actor=&limit=
+app.get("/api/audit", requireRole("admin"), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000)
+    const records = await storage.listAuditRecords({
+      tripId: req.query.tripId || null,
+      actor: req.query.actor || null,
+      limit,
+    })
+    res.json({ count: records.length, records })
+  } catch (error) {
+    console.error("Error listing audit records:", error)
+    res.status(500).json({ error: "Failed to list audit records" })
+  }
+})
+
+// Live SSE stream, filter with ?tripId=a,b&busId=x&events=trip.position,stop.arrived
+app.get("/api/stream", requireRole("viewer"), eventStream.handler)
+
+app.get("/api/trips/:tripId/eta", requireRole("viewer"), async (req, res) => {
+  try {
+    const { tripId } = req.params
+    const activeTrip = activeTrips.get(tripId)
+
+    if (!activeTrip) {
+      const trip = await storage.getTrip(tripId)
+      if (!trip) {
+        return res.status(404).json({ error: "Trip not found" })
+      }
+      return res.status(409).json({ error: "Trip is not being tracked", status: trip.status })
+    }
+
+    res.json({ tripId, ...activeTrip.eta })
+  } catch (error) {
+    console.error("Error getting trip ETA:", error)
+    res.status(500).json({ error: "Failed to get trip ETA" })
+  }
+})
+
+// Auditable timeline: GET /api/trips/:tripId/events?types=STOP_ARRIVED,STOP_DEPARTED&since=<ms|ISO>
+app.get("/api/trips/:tripId/events", requireRole("viewer"), async (req, res) => {
+  try {
+    const { tripId } = req.params
+    const types = new Set(
+      String(req.query.types || "").split(",").map(type => type.trim().toUpperCase()).filter(Boolean)
+    )
+    const since = parseTimestamp(req.query.since)
+
+    if (req.query.since !== undefined && since === null) {
+      return res.status(400).json({ error: "since must be epoch milliseconds or an ISO date" })
+    }
+
+    const trip = await storage.getTrip(tripId)
+    if (!trip) {
+      return res.status(404).json({ error: "Trip not found" })
+    }
+
+    const events = (await storage.listTripEvents(tripId))
+      .filter(event => types.size === 0 || types.has(event.type))
+      .filter(event => since === null || event.timestamp >= since)
+
+    res.json({
+      tripId,
+      busId: trip.bus_id,
+      status: trip.status,
+      count: events.length,
+      events: events.map(event => ({
+        id: event.id,
+        type: event.type,
+        timestamp: new Date(event.timestamp).toISOString(),
+        lat: event.lat,
+        lng: event.lng,
+        payload: event.payload || {},
+      })),
+    })
+  } catch (error) {
+    console.error("Error getting trip events:", error)
+    res.status(500).json({ error: "Failed to get trip events" })
+  }
+})
+
+// Toll cost breakdown (stored at start, or priced now; ?vehicleClass= prices another class)
+app.get("/api/trips/:tripId/tolls", requireRole("viewer"), async (req, res) => {
+  try {
+    const { tripId } = req.params
+    const { vehicleClass } = req.query
+
+    const trip = await storage.getTrip(tripId)
+    if (!trip) {
+      return res.status(404).json({ error: "Trip not found" })
+    }
+
+    if (trip.toll_breakdown && !vehicleClass) {
+      return res.json({ tripId, ...trip.toll_breakdown, stored: true })
+    }
+
+    const bus = vehicleClass ? null : await storage.getBus(trip.bus_id).catch(() => null)
+    const tolls = computeTripTolls(trip.segments, tollTariffs, vehicleClass || resolveVehicleClass(trip, bus))
+    res.json({ tripId, ...tolls, stored: false })
+  } catch (error) {
+    console.error("Error getting trip tolls:", error)
+    res.status(500).json({ error: "Failed to get trip tolls" })
+  }
+})
+
+app.get("/api/trips/:tripId/track", requireRole("viewer"), async (req, res) => {
+  try {
+    const { tripId } = req.params
+    const encoding = parseGeometryEncoding(req.query.encoding)
+    if (!encoding) {
+      return res.status(400).json(invalidEncodingError)
+    }
+
+    const trip = await storage.getTrip(tripId)
+
+    if (!trip) {
+      return res.status(404).json({ error: "Trip not found" })
+    }
+
+    const points = await storage.listTrackPoints(tripId)
+
+    // Compact form: the line as one polyline, per-point data as parallel arrays
+    if (encoding === "polyline") {
+      return res.json({
+        tripId,
+        busId: trip.bus_id,
+        status: trip.status,
+        count: points.length,
+        polyline: encodePolyline(points),
+        timestamps: points.map((point) => point.timestamp),
+        speeds: points.map((point) => point.speed),
+      })
+    }
+
+    res.json({
+      tripId,
+      busId: trip.bus_id,
+      status: trip.status,
+      count: points.length,
+      points: points.map((point) => ({
+        timestamp: point.timestamp,
+        lat: point.lat,
+        lng: point.lng,
+        speed: point.speed,
+        progress: point.progress,
+        elapsedMinutes: point.elapsed_time_minutes,
+        atStop: Boolean(point.at_stop),
+        stopIndex: point.stop_index ?? null,
+        paused: Boolean(point.paused),
+      })),
+    })
+  } catch (error) {
+    console.error("Error getting trip track:", error)
+    res.status(500).json({ error: "Failed to get trip track" })
+  }
+})
+
+// Planned route / driven track as GeoJSON, GPX or KML with segment waypoints (QGIS, Google Earth, GPS devices)
+const sendTripLineExport = (res, format, line, segments) => {
+  const { body, contentType, filename } = exportTripLine(format, line, segments)
+  res.set({
+    "Content-Type": contentType,
+    "Content-Disposition": `attachment; filename="${filename}"`,
+  })
+  res.send(body)
+}
+
+// Error response for an export that failed after its download headers were set
+const sendTripLineExportError = (res, message) => {
+  if (res.headersSent) return res.end()
+  res.removeHeader("Content-Disposition")
+  res.removeHeader("Content-Type")
+  res.status(500).json({ error: message })
+}
+
+const tripLineName = (trip, kind) =>
+  `${trip.departure?.name || "Departure"} - ${trip.destination?.name || "Destination"} (${kind === "actual" ? "track" : "route"})`
+
+app.get("/api/trips/:tripId/route", requireRole("viewer"), async (req, res) => {
+  try {
+    const { tripId } = req.params
+    const encoding = parseGeometryEncoding(req.query.encoding)
+    if (!encoding) {
+      return res.status(400).json(invalidEncodingError)
+    }
+
+    const trip = await storage.getTrip(tripId)
+    if (!trip) {
+      return res.status(404).json({ error: "Trip not found" })
+    }
+    const coordinates = readRouteCoordinates(trip)
+    if (coordinates.length < 2) {
+      return res.status(409).json({ error: "Trip has no planned route yet" })
+    }
+
+    res.json({
+      tripId,
+      distance: trip.distance ?? null,
+      points: coordinates.length,
+      ...geometryOutput(coordinates, encoding),
+    })
+  } catch (error) {
+    console.error("Error getting trip route:", error)
+    res.status(500).json({ error: "Failed to get trip route" })
+  }
+})
+
+app.get("/api/trips/:tripId/route.:format", requireRole("viewer"), async (req, res) => {
+  try {
+    const { tripId, format } = req.params
+    if (!isExportFormat(format)) {
+      return res.status(400).json({ error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(", ")}` })
+    }
+
+    const trip = await storage.getTrip(tripId)
+    if (!trip) {
+      return res.status(404).json({ error: "Trip not found" })
+    }
+    const coordinates = readRouteCoordinates(trip)
+    if (coordinates.length < 2) {
+      return res.status(409).json({ error: "Trip has no planned route yet" })
+    }
+
+    sendTripLineExport(res, format, {
+      kind: "planned",
+      name: tripLineName(trip, "planned"),
+      tripId,
+      points: coordinates.map(point => ({ lat: point.lat, lng: point.lng })),
+    }, trip.segments)
+  } catch (error) {
+    console.error("Error exporting trip route:", error)
+    sendTripLineExportError(res, "Failed to export trip route")
+  }
+})
+
+app.get("/api/trips/:tripId/track.:format", requireRole("viewer"), async (req, res) => {
+  try {
+    const { tripId, format } = req.params
+    if (!isExportFormat(format)) {
+      return res.status(400).json({ error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(", ")}` })
+    }
+
+    const trip = await storage.getTrip(tripId)
+    if (!trip) {
+      return res.status(404).json({ error: "Trip not found" })
+    }
+    const points = await storage.listTrackPoints(tripId)
+    if (points.length === 0) {
+      return res.status(409).json({ error: "No track recorded for this trip yet" })
+    }
+
+    sendTripLineExport(res, format, {
+      kind: "actual",
+      name: tripLineName(trip, "actual"),
+      tripId,
+      points: points.map(point => ({ lat: point.lat, lng: point.lng, timestamp: point.timestamp })),
+    }, trip.segments)
+  } catch (error) {
+    console.error("Error exporting trip track:", error)
+    sendTripLineExportError(res, "Failed to export trip track")
+  }
+})
+
+// Bus state at any moment of a recorded trip: ?at=<epoch ms | ISO date>
+app.get("/api/trips/:tripId/replay", requireRole("viewer"), async (req, res) => {
+  try {
+    const { tripId } = req.params
+    const at = parseTimestamp(req.query.at)
+
+    if (at === null) {
+      return res.status(400).json({ error: "at must be an epoch milliseconds or ISO timestamp" })
+    }
+
+    const trip = await storage.getTrip(tripId)
+
+    if (!trip) {
+      return res.status(404).json({ error: "Trip not found" })
+    }
+
+    const points = await storage.listTrackPoints(tripId)
+
+    if (points.length === 0) {
+      return res.status(404).json({ error: "No recorded track for this trip" })
+    }
+
+    res.json({
+      tripId,
+      busId: trip.bus_id,
+      status: trip.status,
+      at: new Date(at).toISOString(),
+      trackStart: points[0].timestamp,
+      trackEnd: points[points.length - 1].timestamp,
+      state: stateAt(points, at),
+    })
+  } catch (error) {
+    console.error("Error replaying trip:", error)
+    res.status(500).json({ error: "Failed to replay trip" })
+  }
+})
+
+// Re-emit recorded ticks as SSE: ?speed=1|10|60&from=<timestamp>
+app.get("/api/trips/:tripId/replay/stream", requireRole("viewer"), async (req, res) => {
+  try {
+    const { tripId } = req.params
+    const speed = req.query.speed === undefined ? 1 : Number(req.query.speed)
+    const from = parseTimestamp(req.query.from)
+
+    if (!Number.isFinite(speed) || speed <= 0 || speed > MAX_REPLAY_SPEED) {
+      return res.status(400).json({ error: `speed must be between 0 and ${MAX_REPLAY_SPEED}` })
+    }
+
+    const trip = await storage.getTrip(tripId)
+
+    if (!trip) {
+      return res.status(404).json({ error: "Trip not found" })
+    }
+
+    const points = await storage.listTrackPoints(tripId)
+
+    if (points.length === 0) {
+      return res.status(404).json({ error: "No recorded track for this trip" })
+    }
+
+    streamReplay(req, res, points, { speed, from, tripId })
+  } catch (error) {
+    console.error("Error streaming trip replay:", error)
+    res.status(500).json({ error: "Failed to stream trip replay" })
+  }
+})
+
+app.get("/api/trips/active", requireRole("viewer"), (req, res) => {
+  const activeTripsArray = Array.from(activeTrips.values()).map((trip) => {
+    const now = tripNow(trip.id)
+    const stopState = stopStates.get(trip.id)
+    const pauseState = pauseStates.get(trip.id)
+    const pausedMs = getPausedMs(trip.id, now)
+    return {
+      id: trip.id,
+      bus_id: trip.bus_id,
+      speed: trip.speed,
+      totalDistance: trip.totalDistance,
+      estimatedTime: trip.estimatedTime,
+      estimatedArrival: trip.eta?.destination.estimatedArrival ||
+        new Date(trip.startTime + trip.estimatedTime * 60 * 1000 + pausedMs).toISOString(),
+      startTime: trip.startTime,
+      elapsedMinutes: (now - trip.startTime - pausedMs) / (1000 * 60),
+      pausedMinutes: pausedMs / (1000 * 60),
+      pauseInfo: pauseState ? {
+        isPaused: pauseState.paused,
+        isHeld: !pauseState.paused && isTripFrozen(pauseState, now),
+        holdUntil: pauseState.holdUntil ? new Date(pauseState.holdUntil).toISOString() : null,
+        reason: pauseState.reason
+      } : null,
+      stopInfo: stopState ? {
+        totalStops: stopState.stopSegments.length,
+        currentStopIndex: stopState.currentStopIndex,
+        isAtStop: stopState.isAtStop,
+        totalStopDuration: stopState.totalStopDuration
+      } : null,
+      tollInfo: trip.tollGates.length > 0 ? {
+        onTollRoad: trip.onTollRoad,
+        gatesPassed: trip.tollGates.filter(gate => gate.passed).length,
+        totalGates: trip.tollGates.length,
+        cost: trip.tolls ? trip.tolls.total : null,
+        currency: trip.tolls ? trip.tolls.currency : null
+      } : null
+    }
+  })
+
+  res.json(activeTripsArray)
+})
+
+// Enhanced real-time subscriptions
+const setupRealtimeSubscriptions = () => {
+  console.log("📡 Setting up ENHANCED real-time subscriptions with REAL stop support...")
+
+  // Listen for trip changes with bus positioning
+  storage.subscribeTrips(async (payload) => {
+    console.log("🗺️ Backend trip change:", payload.eventType, payload.new?.id || payload.old?.id)
+
+    if (payload.eventType === "UPDATE") {
+      const trip = payload.new
+
+      if (TRACKED_STATUSES.includes(trip.status) && !activeTrips.has(trip.id)) {
+        console.log("🆕 New trip to track with ENHANCED REAL stops:", trip.id.slice(0, 8))
+        await startTripTracking(trip)
+      } else if (!TRACKED_STATUSES.includes(trip.status) && activeTrips.has(trip.id)) {
+        console.log("🛑 Trip no longer in progress:", trip.id.slice(0, 8))
+        stopTripTracking(trip.id)
+      }
+    } else if (payload.eventType === "INSERT") {
+      const trip = payload.new
+      
+      // Position bus at departure for new pending trips (not while it is out on another trip)
+      const busOnTrip = Array.from(activeTrips.values()).some(activeTrip => activeTrip.bus_id === trip.bus_id)
+      if (trip.status === "PENDING" && !busOnTrip) {
+        try {
+          await storage.setBusLocation({
+            bus_id: trip.bus_id,
+            trip_id: trip.id,
+            lat: trip.departure.lat,
+            lng: trip.departure.lng,
+            progress: 0,
+            elapsed_time_minutes: 0,
+            timestamp: Date.now(),
+          })
+          console.log(`📍 New trip: Bus positioned at ${trip.departure.name}`)
+        } catch (positionError) {
+          console.error("Error positioning bus for new trip:", positionError)
+        }
+      }
+    }
+  })
 }
 
 // Start server
@@ -615,8 +2516,11 @@ app.listen(PORT, async () => {
   console.log(`🚀 ENHANCED Bus Tracking Backend Server running on port ${PORT}`)
   console.log(`📊 Health check: http://localhost:${PORT}/api/health`)
   console.log(`🔧 Environment:`)
+  console.log(`   - Storage: ${storage.name}`)
   console.log(`   - Supabase URL: ${process.env.NEXT_PUBLIC_SUPABASE_URL ? "✅ Configured" : "❌ Missing"}`)
   console.log(`   - Supabase Key: ${process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY ? "✅ Configured" : "❌ Missing"}`)
+  console.log(`   - Auth: ${auth.enabled ? `✅ ${auth.methods.join(" + ")}` : "⚠️ DISABLED by AUTH_DISABLED=true - every caller is admin"}`)
+  console.log(`   - CORS: ${corsOptions.wildcard ? "⚠️ any origin (set CORS_ORIGINS)" : `✅ ${process.env.CORS_ORIGINS}`}`)
   console.log(`🚌 Tracking Mode: ENHANCED Route Preview (25-85 km/h) + REAL Stop Durations (1min-unlimited) + Destination Parking`)
   console.log(`⏱️ Update Interval: 20 seconds for optimal real-time experience`)
   console.log(`🛣️ Routing: Uses EXACT same route coordinates as preview (no recalculation)`)
@@ -624,21 +2528,44 @@ app.listen(PORT, async () => {
   console.log(`📍 Stop Support: Flexible duration from 1 minute to several hours`)
 
   // Initialize ENHANCED tracking and subscriptions
+  await webhooks.load().catch(error => console.error("❌ Failed to load webhook subscriptions:", error))
   await initializeTracking()
   setupRealtimeSubscriptions()
 
+  // Trips from timetables first, so the scheduler sees today's departures on its first poll
+  if (process.env.TIMETABLE_GENERATOR_ENABLED !== "false") {
+    await runTimetableGenerator()
+    timetableTimer = setInterval(runTimetableGenerator, TIMETABLE_GENERATE_INTERVAL_HOURS * 60 * 60 * 1000)
+    console.log(`🗓️ Timetable generator running every ${TIMETABLE_GENERATE_INTERVAL_HOURS}h for the next ${TIMETABLE_HORIZON_DAYS} days`)
+  }
+
+  // Auto-departure of scheduled PENDING trips, first poll catches up departures missed while down
+  if (process.env.SCHEDULER_ENABLED !== "false") {
+    await departureScheduler.start()
+    console.log(`⏰ Departure scheduler running every ${departureScheduler.status().intervalSeconds}s`)
+  }
+
   console.log("✅ ENHANCED backend tracking system with REAL stop durations ready!")
 })
 
 // Graceful shutdown
-process.on("SIGINT", () => {
+process.on("SIGINT", async () => {
   console.log("🛑 Shutting down ENHANCED backend server...")
 
   // Clear all intervals and stop states
-  trackingIntervals.forEach((interval) => clearInterval(interval))
+  trackingIntervals.forEach((interval, tripId) => getClock(tripId).clearInterval(interval))
   trackingIntervals.clear()
+  simulations.clear()
   activeTrips.clear()
   stopStates.clear()
+  pauseStates.clear()
+  eventStream.close()
+  webhooks.close()
+  departureScheduler.stop()
+  if (timetableTimer) clearInterval(timetableTimer)
+
+  await storage.flush()
+  await routeCache.flush()
 
   console.log("✅ ENHANCED backend server stopped")
   process.exit(0)
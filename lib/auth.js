@@ -0,0 +1,160 @@
+// API-key / JWT authentication with viewer < dispatcher < admin roles
+const crypto = require('crypto');
+
+const ROLE_LEVELS = { viewer: 1, dispatcher: 2, admin: 3 };
+const JWT_CLOCK_SKEW_SECONDS = 30;
+
+const sha256 = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+// API_KEYS="<key>:<role>[:<name>],..." -> [{ hash, role, name }]
+const parseApiKeys = (value) =>
+  String(value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry, i) => {
+      const [key, role, name] = entry.split(':').map((part) => part.trim());
+      if (!key || !ROLE_LEVELS[role]) {
+        throw new Error(`API_KEYS entry ${i + 1} must be <key>:<viewer|dispatcher|admin>[:<name>]`);
+      }
+      return { hash: sha256(key), role, name: name || `api-key-${i + 1}` };
+    });
+
+// Read a claim by dotted path ("role", "app_metadata.role")
+const readClaim = (payload, claimPath) =>
+  claimPath.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), payload);
+
+// Highest known role from a claim value (string or list)
+const pickRole = (value) => {
+  const roles = (Array.isArray(value) ? value : [value]).filter((role) => ROLE_LEVELS[role]);
+  return roles.sort((a, b) => ROLE_LEVELS[b] - ROLE_LEVELS[a])[0] || null;
+};
+
+// HS256 JWT -> payload, null when malformed, badly signed, expired or for another issuer/audience
+const verifyJwt = (token, secret, { issuer = null, audience = null, now = Date.now() } = {}) => {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) return null;
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+  if (!header || header.alg !== 'HS256' || !payload || typeof payload !== 'object') return null;
+
+  const expected = crypto.createHmac('sha256', secret).update(`${parts[0]}.${parts[1]}`).digest();
+  const given = Buffer.from(parts[2], 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+  const seconds = now / 1000;
+  if (typeof payload.exp === 'number' && seconds > payload.exp + JWT_CLOCK_SKEW_SECONDS) return null;
+  if (typeof payload.nbf === 'number' && seconds < payload.nbf - JWT_CLOCK_SKEW_SECONDS) return null;
+  if (issuer && payload.iss !== issuer) return null;
+  if (audience) {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(audience)) return null;
+  }
+  return payload;
+};
+
+/*
+ * Credentials (any of):
+ *   Authorization: Bearer <api key | JWT>
+ *   X-API-Key: <api key>
+ *   ?access_token=<api key | JWT> on GET only (EventSource cannot send headers)
+ * Env: API_KEYS, JWT_SECRET, JWT_ISSUER, JWT_AUDIENCE, JWT_ROLE_CLAIM (default "role").
+ * Without API_KEYS and JWT_SECRET this throws, unless AUTH_DISABLED=true explicitly
+ * opts out: then authentication is off and every caller is admin.
+ */
+const createAuth = (env = process.env) => {
+  const apiKeys = parseApiKeys(env.API_KEYS);
+  const jwtSecret = env.JWT_SECRET || null;
+  const jwtOptions = { issuer: env.JWT_ISSUER || null, audience: env.JWT_AUDIENCE || null };
+  const roleClaim = env.JWT_ROLE_CLAIM || 'role';
+  const enabled = apiKeys.length > 0 || Boolean(jwtSecret);
+  if (!enabled && env.AUTH_DISABLED !== 'true') {
+    throw new Error('Authentication is not configured: set API_KEYS and/or JWT_SECRET (or AUTH_DISABLED=true for local development only)');
+  }
+
+  const readCredential = (req) => {
+    const header = req.get('authorization');
+    if (header && /^bearer\s+/i.test(header)) return header.replace(/^bearer\s+/i, '').trim();
+    if (req.get('x-api-key')) return req.get('x-api-key').trim();
+    if (req.method === 'GET' && typeof req.query.access_token === 'string') return req.query.access_token;
+    return null;
+  };
+
+  const matchApiKey = (credential) => {
+    const hash = sha256(credential);
+    // Compare against every key so timing does not reveal which one matched
+    let match = null;
+    apiKeys.forEach((apiKey) => {
+      if (crypto.timingSafeEqual(apiKey.hash, hash)) match = match || apiKey;
+    });
+    return match;
+  };
+
+  // Request -> principal { id, role, method } | null
+  const authenticate = (req) => {
+    if (!enabled) return { id: 'anonymous', role: 'admin', method: 'none' };
+
+    const credential = readCredential(req);
+    if (!credential) return null;
+
+    const apiKey = matchApiKey(credential);
+    if (apiKey) return { id: apiKey.name, role: apiKey.role, method: 'api-key' };
+
+    if (jwtSecret) {
+      const payload = verifyJwt(credential, jwtSecret, jwtOptions);
+      const role = payload && pickRole(readClaim(payload, roleClaim));
+      if (role) return { id: payload.sub || payload.email || 'jwt', role, method: 'jwt' };
+    }
+    return null;
+  };
+
+  // Express middleware: 401 without valid credentials, 403 below the required role
+  const requireRole = (role) => (req, res, next) => {
+    const principal = authenticate(req);
+    if (!principal) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (ROLE_LEVELS[principal.role] < ROLE_LEVELS[role]) {
+      return res.status(403).json({ error: 'Insufficient role', required: role, role: principal.role });
+    }
+    req.principal = principal;
+    next();
+  };
+
+  return {
+    enabled,
+    methods: [apiKeys.length > 0 && 'api-key', jwtSecret && 'jwt'].filter(Boolean),
+    authenticate,
+    requireRole
+  };
+};
+
+// CORS_ORIGINS="https://a.example,https://b.example" -> cors() options; unset or "*" allows any origin
+const createCorsOptions = (env = process.env) => {
+  const origins = String(env.CORS_ORIGINS || '*')
+    .split(',')
+    .map((origin) => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+
+  if (origins.includes('*')) return { origin: true, wildcard: true };
+
+  const allowed = new Set(origins);
+  return {
+    origin: (origin, callback) => callback(null, !origin || allowed.has(origin)),
+    wildcard: false
+  };
+};
+
+module.exports = {
+  ROLE_LEVELS,
+  createAuth,
+  createCorsOptions,
+  verifyJwt
+};
@@ -0,0 +1,145 @@
+// Injectable clocks and seeded random source for the trip simulator
+
+// Wall clock, used for real trips and live GPS tracking
+const systemClock = {
+  type: 'system',
+  now: () => Date.now(),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (handle) => clearInterval(handle)
+};
+
+/*
+ * Virtual clock: time only moves through advance(), timers fire at their exact
+ * due time and async callbacks are awaited one by one, so runs are repeatable.
+ * With timeScale > 0 a real timer keeps advancing it (60 = one hour per minute),
+ * with timeScale 0 it is stepped manually.
+ */
+const createVirtualClock = ({ start = Date.now(), timeScale = 0, resolutionMs = 250 } = {}) => {
+  let current = start;
+  let nextId = 1;
+  let queue = Promise.resolve();
+  let busy = false;
+  let driver = null;
+  const timers = new Map();
+
+  const runUntil = async (target) => {
+    for (;;) {
+      let nextTimer = null;
+      timers.forEach((timer) => {
+        if (timer.due <= target && (!nextTimer || timer.due < nextTimer.due)) nextTimer = timer;
+      });
+      if (!nextTimer) break;
+
+      current = nextTimer.due;
+      nextTimer.due += nextTimer.ms;
+      try {
+        await nextTimer.fn();
+      } catch (error) {
+        console.error('Virtual clock timer error:', error);
+      }
+    }
+    current = Math.max(current, target);
+  };
+
+  // Advance virtual time by ms, resolves once every due timer has run
+  const advance = (ms) => {
+    queue = queue.then(() => runUntil(current + ms));
+    return queue;
+  };
+
+  const startDriver = () => {
+    if (driver || timeScale <= 0) return;
+    driver = setInterval(() => {
+      if (busy) return; // slow storage: skip instead of piling up
+      busy = true;
+      advance(resolutionMs * timeScale).finally(() => {
+        busy = false;
+      });
+    }, resolutionMs);
+  };
+
+  const stopDriver = () => {
+    if (driver) clearInterval(driver);
+    driver = null;
+  };
+
+  return {
+    type: timeScale > 0 ? 'accelerated' : 'step',
+    timeScale,
+    now: () => current,
+    setInterval: (fn, ms) => {
+      const id = nextId++;
+      timers.set(id, { fn, ms, due: current + ms });
+      startDriver();
+      return id;
+    },
+    clearInterval: (id) => {
+      timers.delete(id);
+      if (timers.size === 0) stopDriver();
+    },
+    advance
+  };
+};
+
+// Deterministic PRNG (mulberry32) returning floats in [0, 1) like Math.random
+const createSeededRandom = (seed) => {
+  // Strings are hashed so any seed value works
+  let state = typeof seed === 'number' && Number.isFinite(seed)
+    ? seed >>> 0
+    : Array.from(String(seed)).reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619) >>> 0, 2166136261);
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/*
+ * Simulation settings from the trip (trip.simulation) with SIM_* env defaults:
+ *   timeScale (SIM_TIME_SCALE): virtual ms per real ms, 1 = wall clock
+ *   step      (SIM_STEP_MODE):  advance only through the step endpoint
+ *   seed      (SIM_SEED):       seeded random instead of Math.random
+ *   startAt:                    virtual start time (epoch ms), defaults to now
+ */
+const resolveSimulationConfig = (tripConfig = {}, env = process.env) => {
+  const config = tripConfig || {};
+  const timeScale = Number(config.timeScale ?? env.SIM_TIME_SCALE ?? 1);
+  const step = Boolean(config.step ?? (env.SIM_STEP_MODE === 'true'));
+  const seed = config.seed ?? env.SIM_SEED ?? null;
+  const startAt = config.startAt ?? null;
+
+  return {
+    timeScale: Number.isFinite(timeScale) && timeScale > 0 ? timeScale : 1,
+    step,
+    seed,
+    startAt
+  };
+};
+
+// { clock, random, config } for one trip
+const createSimulation = (config) => {
+  const start = config.startAt !== null && config.startAt !== undefined ? Number(config.startAt) : Date.now();
+  let clock = systemClock;
+  if (config.step) {
+    clock = createVirtualClock({ start, timeScale: 0 });
+  } else if (config.timeScale !== 1 || config.startAt !== null) {
+    clock = createVirtualClock({ start, timeScale: config.timeScale });
+  }
+
+  return {
+    clock,
+    random: config.seed !== null && config.seed !== undefined ? createSeededRandom(config.seed) : Math.random,
+    config
+  };
+};
+
+module.exports = {
+  systemClock,
+  createVirtualClock,
+  createSeededRandom,
+  resolveSimulationConfig,
+  createSimulation
+};
@@ -0,0 +1,65 @@
+// Live ETA prediction for the remaining stops and the destination
+
+const MS_PER_MINUTE = 60 * 1000;
+
+/*
+ * Walk the remaining route from the bus position: drive to each upcoming stop at
+ * speedKmh, dwell for its stop_duration, then drive on to the destination.
+ *
+ * stops:       [{ segment, distance }] in route order (distance = km along route)
+ * delayMinutes: time before the bus moves again (remaining dwell, remaining hold)
+ */
+const predictArrivals = ({
+  now,
+  travelledKm,
+  totalDistance,
+  speedKmh,
+  stops = [],
+  nextStopIndex = 0,
+  delayMinutes = 0,
+  destination = null
+}) => {
+  const kmPerMinute = speedKmh > 0 ? speedKmh / 60 : 0;
+  const travelMinutes = (km) => (kmPerMinute > 0 ? Math.max(0, km) / kmPerMinute : 0);
+
+  let clock = now + Math.max(0, delayMinutes) * MS_PER_MINUTE;
+  let position = travelledKm;
+  const upcomingStops = [];
+
+  for (let i = nextStopIndex; i < stops.length; i++) {
+    const { segment, distance } = stops[i];
+    const arrival = clock + travelMinutes(distance - position) * MS_PER_MINUTE;
+    const dwellMinutes = segment.stop_duration || 30;
+    const departure = arrival + dwellMinutes * MS_PER_MINUTE;
+
+    upcomingStops.push({
+      segmentId: segment.id,
+      order: segment.order,
+      name: segment.location?.name || null,
+      distanceRemainingKm: Math.max(0, distance - travelledKm),
+      stopDuration: dwellMinutes,
+      estimatedArrival: new Date(arrival).toISOString(),
+      estimatedDeparture: new Date(departure).toISOString()
+    });
+
+    clock = departure;
+    position = Math.max(position, distance);
+  }
+
+  const destinationArrival = clock + travelMinutes(totalDistance - position) * MS_PER_MINUTE;
+
+  return {
+    computedAt: new Date(now).toISOString(),
+    speed: speedKmh,
+    stops: upcomingStops,
+    destination: {
+      name: destination?.name || null,
+      distanceRemainingKm: Math.max(0, totalDistance - travelledKm),
+      estimatedArrival: new Date(destinationArrival).toISOString()
+    }
+  };
+};
+
+module.exports = {
+  predictArrivals
+};
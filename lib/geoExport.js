@@ -0,0 +1,142 @@
+// GeoJSON / GPX / KML export of a trip's planned route or driven track with segment waypoints
+const { sortSegments, getSegmentWaypoint } = require('./segments');
+
+const EXPORT_FORMATS = {
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' },
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' }
+};
+
+// Own keys only: 'toString' or 'constructor' from a URL must not pass as a format
+const isExportFormat = (format) => Object.hasOwn(EXPORT_FORMATS, format);
+
+const SEGMENT_LABELS = {
+  departure: 'Departure',
+  stop: 'Stop',
+  toll_entry: 'Toll entry',
+  toll_exit: 'Toll exit',
+  destination: 'Destination'
+};
+
+const escapeXml = (value) =>
+  String(value ?? '').replace(/[<>&'"]/g, (char) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[char]);
+
+const isoTime = (timestamp) => {
+  const ms = typeof timestamp === 'number' ? timestamp : Date.parse(timestamp);
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+};
+
+// Departure, stops, toll gates and destination as named points (toll segments at their gate)
+const segmentWaypoints = (segments) =>
+  sortSegments(segments)
+    .map((segment) => {
+      const point = getSegmentWaypoint(segment);
+      if (!point || !Number.isFinite(Number(point.lat)) || !Number.isFinite(Number(point.lng))) return null;
+      return {
+        lat: Number(point.lat),
+        lng: Number(point.lng),
+        name: point.name || segment.location?.name || SEGMENT_LABELS[segment.type] || segment.type,
+        type: segment.type,
+        order: segment.order,
+        stopDuration: segment.type === 'stop' ? segment.stop_duration || null : null
+      };
+    })
+    .filter(Boolean);
+
+const describeWaypoint = (waypoint) =>
+  [SEGMENT_LABELS[waypoint.type] || waypoint.type, waypoint.stopDuration ? `${waypoint.stopDuration} min` : null].filter(Boolean).join(', ');
+
+/*
+ * line: { kind: 'planned' | 'actual', name, tripId, points: [{ lat, lng, timestamp?, speed? }] }
+ * waypoints: segmentWaypoints(trip.segments)
+ */
+const toGeoJson = ({ kind, name, tripId, points }, waypoints) => {
+  const hasTimes = points.some((point) => point.timestamp !== undefined);
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: [
+      {
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: points.map((point) => [point.lng, point.lat]) },
+        properties: {
+          tripId,
+          name,
+          kind,
+          ...(hasTimes && { coordTimes: points.map((point) => isoTime(point.timestamp)) })
+        }
+      },
+      ...waypoints.map((waypoint) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [waypoint.lng, waypoint.lat] },
+        properties: {
+          tripId,
+          name: waypoint.name,
+          segmentType: waypoint.type,
+          order: waypoint.order,
+          stopDuration: waypoint.stopDuration
+        }
+      }))
+    ]
+  });
+};
+
+// Both kinds are written as <trk>: navigation devices cap <rte> at a few hundred points
+const toGpx = ({ kind, name, points }, waypoints) => {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="trackkbkc" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXml(name)}</name><time>${new Date().toISOString()}</time></metadata>`
+  ];
+  waypoints.forEach((waypoint) => {
+    lines.push(`  <wpt lat="${waypoint.lat}" lon="${waypoint.lng}"><name>${escapeXml(waypoint.name)}</name><desc>${escapeXml(describeWaypoint(waypoint))}</desc><type>${escapeXml(waypoint.type)}</type></wpt>`);
+  });
+  lines.push(`  <trk><name>${escapeXml(name)}</name><type>${kind}</type><trkseg>`);
+  points.forEach((point) => {
+    const time = point.timestamp !== undefined ? isoTime(point.timestamp) : null;
+    lines.push(`    <trkpt lat="${point.lat}" lon="${point.lng}">${time ? `<time>${time}</time>` : ''}</trkpt>`);
+  });
+  lines.push('  </trkseg></trk>', '</gpx>');
+  return lines.join('\n') + '\n';
+};
+
+const toKml = ({ kind, name, points }, waypoints) => {
+  const times = points.map((point) => (point.timestamp !== undefined ? isoTime(point.timestamp) : null)).filter(Boolean);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '<Document>',
+    `  <name>${escapeXml(name)}</name>`,
+    `  <Style id="${kind}"><LineStyle><color>${kind === 'actual' ? 'ff0000ff' : 'ffff7f00'}</color><width>4</width></LineStyle></Style>`,
+    '  <Folder><name>Waypoints</name>'
+  ];
+  waypoints.forEach((waypoint) => {
+    lines.push(`    <Placemark><name>${escapeXml(waypoint.name)}</name><description>${escapeXml(describeWaypoint(waypoint))}</description><Point><coordinates>${waypoint.lng},${waypoint.lat},0</coordinates></Point></Placemark>`);
+  });
+  lines.push('  </Folder>');
+  lines.push(`  <Placemark><name>${escapeXml(name)}</name><styleUrl>#${kind}</styleUrl>`);
+  if (times.length > 0) lines.push(`    <TimeSpan><begin>${times[0]}</begin><end>${times[times.length - 1]}</end></TimeSpan>`);
+  lines.push('    <LineString><tessellate>1</tessellate><coordinates>');
+  lines.push(points.map((point) => `${point.lng},${point.lat},0`).join(' '));
+  lines.push('    </coordinates></LineString>', '  </Placemark>', '</Document>', '</kml>');
+  return lines.join('\n') + '\n';
+};
+
+const WRITERS = { geojson: toGeoJson, gpx: toGpx, kml: toKml };
+
+// -> { body, contentType, filename }
+const exportTripLine = (format, line, segments) => {
+  if (!isExportFormat(format)) throw new Error(`Unknown export format: ${format}`);
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  return {
+    body: WRITERS[format](line, segmentWaypoints(segments)),
+    contentType,
+    filename: `trip-${String(line.tripId).slice(0, 8)}-${line.kind === 'actual' ? 'track' : 'route'}.${extension}`
+  };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  isExportFormat,
+  segmentWaypoints,
+  exportTripLine
+};
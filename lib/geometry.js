@@ -0,0 +1,155 @@
+// Polyline geometry helpers: haversine distance and arc-length indexing of routes
+
+// Calculate distance using Haversine formula
+const calculateDistance = (lat1, lng1, lat2, lng2) => {
+  const R = 6371; // Earth's radius in kilometers
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) * Math.sin(dLng / 2);
+
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+};
+
+const toRadians = (degrees) => degrees * (Math.PI / 180);
+
+// Build cumulative arc-length index (km) for a list of { lat, lng }
+const buildRouteIndex = (coordinates) => {
+  const points = Array.isArray(coordinates) ? coordinates : [];
+  const cumulative = new Array(points.length);
+  let total = 0;
+
+  for (let i = 0; i < points.length; i++) {
+    if (i > 0) {
+      total += calculateDistance(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng);
+    }
+    cumulative[i] = total;
+  }
+
+  return {
+    coordinates: points,
+    cumulative,
+    totalLength: total
+  };
+};
+
+// Index of the vertex that starts the segment containing distanceKm (binary search)
+const findSegmentIndex = (routeIndex, distanceKm) => {
+  const { cumulative } = routeIndex;
+  let low = 0;
+  let high = cumulative.length - 1;
+
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (cumulative[mid] <= distanceKm) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return Math.min(low, Math.max(0, cumulative.length - 2));
+};
+
+// Linearly interpolated position at distanceKm along the route
+const positionAtDistance = (routeIndex, distanceKm) => {
+  const { coordinates, cumulative, totalLength } = routeIndex;
+  if (coordinates.length === 0) return null;
+  if (coordinates.length === 1) return { lat: coordinates[0].lat, lng: coordinates[0].lng, segmentIndex: 0 };
+
+  const distance = Math.max(0, Math.min(totalLength, distanceKm));
+  const i = findSegmentIndex(routeIndex, distance);
+  const from = coordinates[i];
+  const to = coordinates[i + 1];
+  const segmentLength = cumulative[i + 1] - cumulative[i];
+  const ratio = segmentLength > 0 ? (distance - cumulative[i]) / segmentLength : 0;
+
+  return {
+    lat: from.lat + (to.lat - from.lat) * ratio,
+    lng: from.lng + (to.lng - from.lng) * ratio,
+    segmentIndex: i
+  };
+};
+
+// Closest point on segment i of the route (equirectangular approximation, fine at road scale)
+const projectOnSegment = (routeIndex, i, point) => {
+  const { coordinates, cumulative } = routeIndex;
+  const from = coordinates[i];
+  const to = coordinates[i + 1];
+  const scale = Math.cos(toRadians(point.lat));
+
+  const dx = (to.lng - from.lng) * scale;
+  const dy = to.lat - from.lat;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared > 0
+    ? Math.max(0, Math.min(1, (((point.lng - from.lng) * scale) * dx + (point.lat - from.lat) * dy) / lengthSquared))
+    : 0;
+
+  const lat = from.lat + (to.lat - from.lat) * t;
+  const lng = from.lng + (to.lng - from.lng) * t;
+
+  return {
+    lat,
+    lng,
+    segmentIndex: i,
+    distanceAlong: cumulative[i] + (cumulative[i + 1] - cumulative[i]) * t,
+    offset: calculateDistance(point.lat, point.lng, lat, lng)
+  };
+};
+
+// Project a point onto the route, only considering the part at or after fromKm.
+// When the route passes near the point more than once, the earliest pass within
+// toleranceKm of the best match wins.
+const projectOnRoute = (routeIndex, point, fromKm = 0, toleranceKm = 0.05) => {
+  const { coordinates, cumulative } = routeIndex;
+  if (!point || coordinates.length === 0) return null;
+  if (coordinates.length === 1) {
+    return {
+      lat: coordinates[0].lat,
+      lng: coordinates[0].lng,
+      segmentIndex: 0,
+      distanceAlong: 0,
+      offset: calculateDistance(point.lat, point.lng, coordinates[0].lat, coordinates[0].lng)
+    };
+  }
+
+  const candidates = [];
+  for (let i = findSegmentIndex(routeIndex, fromKm); i < coordinates.length - 1; i++) {
+    const projection = projectOnSegment(routeIndex, i, point);
+    if (projection.distanceAlong < fromKm) {
+      // Segment starts before fromKm: clamp to the fromKm position
+      if (cumulative[i + 1] < fromKm) continue;
+      const clamped = positionAtDistance(routeIndex, fromKm);
+      candidates.push({
+        ...clamped,
+        distanceAlong: fromKm,
+        offset: calculateDistance(point.lat, point.lng, clamped.lat, clamped.lng)
+      });
+    } else {
+      candidates.push(projection);
+    }
+  }
+
+  if (candidates.length === 0) return null;
+
+  const bestOffset = candidates.reduce((best, c) => Math.min(best, c.offset), Infinity);
+
+  // Earliest pass within tolerance, then follow it to its local minimum
+  let index = candidates.findIndex((c) => c.offset <= bestOffset + toleranceKm);
+  while (index + 1 < candidates.length && candidates[index + 1].offset < candidates[index].offset) {
+    index++;
+  }
+  return candidates[index];
+};
+
+module.exports = {
+  calculateDistance,
+  toRadians,
+  buildRouteIndex,
+  findSegmentIndex,
+  positionAtDistance,
+  projectOnRoute
+};
@@ -0,0 +1,281 @@
+// GTFS static feed (agency, stops, routes, trips, stop_times, calendar, shapes) built from scheduled trips
+const crypto = require('crypto');
+const { calculateDistance, buildRouteIndex } = require('./geometry');
+const { sortSegments, getSegmentWaypoint, locateSegmentsOnRoute } = require('./segments');
+const { DEFAULT_TIME_ZONE, isoDayOfWeek, localDateString, zonedTimeToUtc } = require('./timetables');
+const { readRouteCoordinates } = require('./polyline');
+
+const DEFAULT_FEED_DAYS = 30;
+const FALLBACK_SPEED_KMH = 50;
+const TOLL_SEGMENT_TYPES = ['toll_entry', 'toll_exit'];
+const DAY_COLUMNS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Stable short ids, so stops/routes/shapes keep their ids between exports
+const shortHash = (value) => crypto.createHash('sha1').update(value).digest('hex').slice(0, 12);
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) =>
+  [columns.join(','), ...rows.map((row) => columns.map((column) => csvValue(row[column])).join(','))].join('\r\n') + '\r\n';
+
+const gtfsDate = (dateString) => dateString.replace(/-/g, '');
+
+// Seconds since local midnight of the service day -> "HH:MM:SS" (hours may pass 24)
+const gtfsTime = (seconds) => {
+  const total = Math.max(0, Math.round(seconds));
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${pad(Math.floor(total / 3600))}:${pad(Math.floor((total % 3600) / 60))}:${pad(total % 60)}`;
+};
+
+const tripDepartureMs = (trip) => {
+  const ms = Date.parse(trip.scheduled_departure || trip.start_time || '');
+  return Number.isFinite(ms) ? ms : null;
+};
+
+// Segments that become GTFS stops: departure, stop, toll gates, destination (with a usable position)
+const stopSegments = (trip) =>
+  sortSegments(trip.segments).filter((segment) => {
+    const point = getSegmentWaypoint(segment);
+    return point && Number.isFinite(Number(point.lat)) && Number.isFinite(Number(point.lng));
+  });
+
+const describeStop = (segment) => {
+  const point = getSegmentWaypoint(segment);
+  const lat = Number(Number(point.lat).toFixed(6));
+  const lng = Number(Number(point.lng).toFixed(6));
+  const name = point.name || segment.location?.name || segment.type;
+  return { stop_id: `S${shortHash(`${lat},${lng}|${name}`)}`, stop_name: name, stop_lat: lat, stop_lon: lng };
+};
+
+/*
+ * Minutes after departure at which the bus arrives at / leaves each segment.
+ * Driving time per gap comes from the stored route_legs, otherwise from the
+ * distance along the route at the trip's average driving speed; stop_duration
+ * is the dwell time at intermediate stops.
+ */
+const segmentTimings = (trip, segments) => {
+  const dwellMinutes = (segment, i) => (segment.type === 'stop' && i < segments.length - 1 ? segment.stop_duration || 0 : 0);
+  const totalDwell = segments.reduce((sum, segment, i) => sum + dwellMinutes(segment, i), 0);
+  const drivingMinutes = (trip.estimated_duration || 0) - totalDwell;
+  const minutesPerKm = trip.distance > 0 && drivingMinutes > 0 ? drivingMinutes / trip.distance : 60 / FALLBACK_SPEED_KMH;
+
+  const route = readRouteCoordinates(trip);
+  const located = route.length >= 2 ? locateSegmentsOnRoute(buildRouteIndex(route), segments) : null;
+  const legs = trip.route_legs || [];
+
+  const gapMinutes = (from, to, i) => {
+    const leg = legs.find((candidate) => candidate.from?.order === from.order && candidate.to?.order === to.order);
+    if (leg && Number.isFinite(leg.duration)) return leg.duration;
+
+    const fromPoint = getSegmentWaypoint(from);
+    const toPoint = getSegmentWaypoint(to);
+    const km = located
+      ? Math.max(0, located[i].distance - located[i - 1].distance)
+      : calculateDistance(fromPoint.lat, fromPoint.lng, toPoint.lat, toPoint.lng);
+    return km * minutesPerKm;
+  };
+
+  const timings = [];
+  let clock = 0;
+  segments.forEach((segment, i) => {
+    if (i > 0) clock += gapMinutes(segments[i - 1], segment, i);
+    const arrival = clock;
+    clock += dwellMinutes(segment, i);
+    timings.push({ arrival, departure: clock });
+  });
+  return timings;
+};
+
+const routeIdFor = (trip, firstStop, lastStop) =>
+  trip.route_template_id || `R${shortHash(`${firstStop.stop_name}|${lastStop.stop_name}`)}`;
+
+/*
+ * Static schedule of one trip, shared with the GTFS-Realtime feed so stop ids and
+ * sequences match: { serviceDate, departureMs, startSeconds, routeId, stops: [{ segment,
+ * stop, stopSequence, arrival, departure (epoch ms) }] }, null without departure time or stops.
+ */
+const buildTripSchedule = (trip, timeZone = DEFAULT_TIME_ZONE) => {
+  const departureMs = tripDepartureMs(trip);
+  const segments = stopSegments(trip);
+  if (departureMs === null || segments.length < 2) return null;
+
+  const serviceDate = localDateString(departureMs, timeZone);
+  const stops = segments.map(describeStop);
+  const timings = segmentTimings(trip, segments);
+
+  return {
+    serviceDate,
+    departureMs,
+    startSeconds: (departureMs - zonedTimeToUtc(serviceDate, { hours: 0, minutes: 0 }, timeZone)) / 1000,
+    routeId: routeIdFor(trip, stops[0], stops[stops.length - 1]),
+    stops: segments.map((segment, i) => ({
+      segment,
+      stop: stops[i],
+      stopSequence: i + 1,
+      arrival: departureMs + timings[i].arrival * 60 * 1000,
+      departure: departureMs + timings[i].departure * 60 * 1000
+    }))
+  };
+};
+
+/*
+ * trips: trip rows (CANCELLED ones filtered out by the caller)
+ * Trips departing from today (local) for `days` days are exported, one calendar
+ * service per service date. Returns { files: [{ name, data }], counts, serviceDates }.
+ */
+const buildGtfsFeed = (trips, {
+  agency = {},
+  timeZone = DEFAULT_TIME_ZONE,
+  now = Date.now(),
+  days = DEFAULT_FEED_DAYS,
+  routeNames = new Map()
+} = {}) => {
+  const agencyId = agency.id || 'agency';
+  const firstDate = localDateString(now, timeZone);
+  const windowEnd = zonedTimeToUtc(firstDate, { hours: 0, minutes: 0 }, timeZone) + days * 24 * 60 * 60 * 1000;
+  const lastDate = localDateString(windowEnd - 1, timeZone);
+
+  const stops = new Map();
+  const routes = new Map();
+  const shapes = new Map();
+  const services = new Map();
+  const tripRows = [];
+  const stopTimeRows = [];
+
+  trips.forEach((trip) => {
+    const schedule = buildTripSchedule(trip, timeZone);
+    if (!schedule) return;
+
+    const { serviceDate, departureMs, startSeconds, routeId, stops: scheduledStops } = schedule;
+    if (serviceDate < firstDate || serviceDate > lastDate) return;
+
+    const serviceId = `D${gtfsDate(serviceDate)}`;
+    services.set(serviceId, serviceDate);
+
+    const first = scheduledStops[0].stop;
+    const last = scheduledStops[scheduledStops.length - 1].stop;
+    if (!routes.has(routeId)) {
+      routes.set(routeId, {
+        route_id: routeId,
+        agency_id: agencyId,
+        route_short_name: '',
+        route_long_name: routeNames.get(trip.route_template_id) || `${first.stop_name} - ${last.stop_name}`,
+        route_type: 3 // bus
+      });
+    }
+
+    let shapeId = '';
+    const coordinates = readRouteCoordinates(trip).filter((point) => Number.isFinite(point?.lat) && Number.isFinite(point?.lng));
+    if (coordinates.length >= 2) {
+      shapeId = `SH${shortHash(coordinates.map((point) => `${point.lat.toFixed(6)},${point.lng.toFixed(6)}`).join(';'))}`;
+      if (!shapes.has(shapeId)) shapes.set(shapeId, coordinates);
+    }
+
+    tripRows.push({
+      route_id: routeId,
+      service_id: serviceId,
+      trip_id: trip.id,
+      trip_headsign: last.stop_name,
+      shape_id: shapeId
+    });
+
+    scheduledStops.forEach(({ segment, stop, stopSequence, arrival, departure }, i) => {
+      stops.set(stop.stop_id, stop);
+      // Toll gates are timing points only: nobody boards or alights there
+      const passThrough = TOLL_SEGMENT_TYPES.includes(segment.type);
+      stopTimeRows.push({
+        trip_id: trip.id,
+        arrival_time: gtfsTime(startSeconds + (arrival - departureMs) / 1000),
+        departure_time: gtfsTime(startSeconds + (departure - departureMs) / 1000),
+        stop_id: stop.stop_id,
+        stop_sequence: stopSequence,
+        pickup_type: passThrough || i === scheduledStops.length - 1 ? 1 : 0,
+        drop_off_type: passThrough || i === 0 ? 1 : 0,
+        timepoint: i === 0 ? 1 : 0
+      });
+    });
+  });
+
+  const calendarRows = Array.from(services.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([serviceId, serviceDate]) => {
+      const row = { service_id: serviceId, start_date: gtfsDate(serviceDate), end_date: gtfsDate(serviceDate) };
+      DAY_COLUMNS.forEach((column, i) => {
+        row[column] = isoDayOfWeek(serviceDate) === i + 1 ? 1 : 0;
+      });
+      return row;
+    });
+
+  const shapeRows = [];
+  shapes.forEach((coordinates, shapeId) => {
+    let travelled = 0;
+    coordinates.forEach((point, i) => {
+      if (i > 0) travelled += calculateDistance(coordinates[i - 1].lat, coordinates[i - 1].lng, point.lat, point.lng);
+      shapeRows.push({
+        shape_id: shapeId,
+        shape_pt_lat: point.lat,
+        shape_pt_lon: point.lng,
+        shape_pt_sequence: i + 1,
+        shape_dist_traveled: Number(travelled.toFixed(3))
+      });
+    });
+  });
+
+  const files = [
+    {
+      name: 'agency.txt',
+      data: toCsv(['agency_id', 'agency_name', 'agency_url', 'agency_timezone', 'agency_lang', 'agency_phone'], [{
+        agency_id: agencyId,
+        agency_name: agency.name,
+        agency_url: agency.url,
+        agency_timezone: timeZone,
+        agency_lang: agency.lang,
+        agency_phone: agency.phone
+      }])
+    },
+    { name: 'stops.txt', data: toCsv(['stop_id', 'stop_name', 'stop_lat', 'stop_lon'], Array.from(stops.values())) },
+    { name: 'routes.txt', data: toCsv(['route_id', 'agency_id', 'route_short_name', 'route_long_name', 'route_type'], Array.from(routes.values())) },
+    { name: 'trips.txt', data: toCsv(['route_id', 'service_id', 'trip_id', 'trip_headsign', 'shape_id'], tripRows) },
+    {
+      name: 'stop_times.txt',
+      data: toCsv(['trip_id', 'arrival_time', 'departure_time', 'stop_id', 'stop_sequence', 'pickup_type', 'drop_off_type', 'timepoint'], stopTimeRows)
+    },
+    { name: 'calendar.txt', data: toCsv(['service_id', ...DAY_COLUMNS, 'start_date', 'end_date'], calendarRows) },
+    { name: 'shapes.txt', data: toCsv(['shape_id', 'shape_pt_lat', 'shape_pt_lon', 'shape_pt_sequence', 'shape_dist_traveled'], shapeRows) },
+    {
+      name: 'feed_info.txt',
+      data: toCsv(['feed_publisher_name', 'feed_publisher_url', 'feed_lang', 'feed_start_date', 'feed_end_date', 'feed_version'], [{
+        feed_publisher_name: agency.name,
+        feed_publisher_url: agency.url,
+        feed_lang: agency.lang || 'id',
+        feed_start_date: gtfsDate(firstDate),
+        feed_end_date: gtfsDate(lastDate),
+        feed_version: new Date(now).toISOString()
+      }])
+    }
+  ];
+
+  return {
+    files,
+    serviceDates: { start: firstDate, end: lastDate },
+    counts: {
+      trips: tripRows.length,
+      stops: stops.size,
+      routes: routes.size,
+      shapes: shapes.size,
+      services: services.size
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_FEED_DAYS,
+  gtfsDate,
+  gtfsTime,
+  buildTripSchedule,
+  buildGtfsFeed
+};
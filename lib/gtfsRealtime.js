@@ -0,0 +1,255 @@
+// GTFS-Realtime VehiclePositions / TripUpdates from live tracking state (protobuf or JSON)
+const { locateSegmentsOnRoute } = require('./segments');
+const { DEFAULT_TIME_ZONE } = require('./timetables');
+const { gtfsDate, gtfsTime, buildTripSchedule } = require('./gtfs');
+
+const GTFS_RT_VERSION = '2.0';
+const KMH_TO_MS = 1000 / 3600;
+
+/*
+ * Subset of gtfs-realtime.proto used by the feeds: field name -> [number, type, repeated].
+ * Types: string, bool, uint32, uint64, int32, int64, float, double, enum:<Name> or a message name.
+ * Objects use the proto field names in camelCase (the GTFS-RT JSON mapping) and are
+ * encoded as-is, so the ?format=json view is exactly what the protobuf carries.
+ */
+const MESSAGES = {
+  FeedMessage: { header: [1, 'FeedHeader'], entity: [2, 'FeedEntity', true] },
+  FeedHeader: { gtfsRealtimeVersion: [1, 'string'], incrementality: [2, 'enum:Incrementality'], timestamp: [3, 'uint64'] },
+  FeedEntity: { id: [1, 'string'], isDeleted: [2, 'bool'], tripUpdate: [3, 'TripUpdate'], vehicle: [4, 'VehiclePosition'] },
+  TripUpdate: {
+    trip: [1, 'TripDescriptor'],
+    stopTimeUpdate: [2, 'StopTimeUpdate', true],
+    vehicle: [3, 'VehicleDescriptor'],
+    timestamp: [4, 'uint64'],
+    delay: [5, 'int32']
+  },
+  StopTimeUpdate: {
+    stopSequence: [1, 'uint32'],
+    arrival: [2, 'StopTimeEvent'],
+    departure: [3, 'StopTimeEvent'],
+    stopId: [4, 'string'],
+    scheduleRelationship: [5, 'enum:StopScheduleRelationship']
+  },
+  StopTimeEvent: { delay: [1, 'int32'], time: [2, 'int64'], uncertainty: [3, 'int32'] },
+  VehiclePosition: {
+    trip: [1, 'TripDescriptor'],
+    position: [2, 'Position'],
+    currentStopSequence: [3, 'uint32'],
+    currentStatus: [4, 'enum:VehicleStopStatus'],
+    timestamp: [5, 'uint64'],
+    stopId: [7, 'string'],
+    vehicle: [8, 'VehicleDescriptor']
+  },
+  TripDescriptor: {
+    tripId: [1, 'string'],
+    startTime: [2, 'string'],
+    startDate: [3, 'string'],
+    scheduleRelationship: [4, 'enum:TripScheduleRelationship'],
+    routeId: [5, 'string']
+  },
+  VehicleDescriptor: { id: [1, 'string'], label: [2, 'string'], licensePlate: [3, 'string'] },
+  Position: { latitude: [1, 'float'], longitude: [2, 'float'], bearing: [3, 'float'], odometer: [4, 'double'], speed: [5, 'float'] }
+};
+
+const ENUMS = {
+  Incrementality: { FULL_DATASET: 0, DIFFERENTIAL: 1 },
+  TripScheduleRelationship: { SCHEDULED: 0, ADDED: 1, UNSCHEDULED: 2, CANCELED: 3 },
+  StopScheduleRelationship: { SCHEDULED: 0, SKIPPED: 1, NO_DATA: 2 },
+  VehicleStopStatus: { INCOMING_AT: 0, STOPPED_AT: 1, IN_TRANSIT_TO: 2 }
+};
+
+// Base-128 varint; negative int32/int64 are sign-extended to 64 bits (10 bytes) as protobuf does
+const encodeVarint = (value) => {
+  let n = BigInt.asUintN(64, BigInt(Math.trunc(value)));
+  const bytes = [];
+  do {
+    let byte = Number(n & 0x7fn);
+    n >>= 7n;
+    if (n > 0n) byte |= 0x80;
+    bytes.push(byte);
+  } while (n > 0n);
+  return Buffer.from(bytes);
+};
+
+const fieldKey = (number, wireType) => encodeVarint((number << 3) | wireType);
+
+const encodeField = (number, type, value) => {
+  if (type === 'string') {
+    const data = Buffer.from(String(value), 'utf8');
+    return Buffer.concat([fieldKey(number, 2), encodeVarint(data.length), data]);
+  }
+  if (type === 'float') {
+    const data = Buffer.alloc(4);
+    data.writeFloatLE(value);
+    return Buffer.concat([fieldKey(number, 5), data]);
+  }
+  if (type === 'double') {
+    const data = Buffer.alloc(8);
+    data.writeDoubleLE(value);
+    return Buffer.concat([fieldKey(number, 1), data]);
+  }
+  if (type === 'bool') return Buffer.concat([fieldKey(number, 0), encodeVarint(value ? 1 : 0)]);
+  if (type.startsWith('enum:')) {
+    const code = ENUMS[type.slice(5)][value];
+    if (code === undefined) throw new Error(`Unknown ${type.slice(5)} value: ${value}`);
+    return Buffer.concat([fieldKey(number, 0), encodeVarint(code)]);
+  }
+  if (MESSAGES[type]) {
+    const data = encodeMessage(type, value);
+    return Buffer.concat([fieldKey(number, 2), encodeVarint(data.length), data]);
+  }
+  return Buffer.concat([fieldKey(number, 0), encodeVarint(value)]); // (u)int32 / (u)int64
+};
+
+// encodeField and encodeMessage recurse into each other for nested messages
+const encodeMessage = (name, object) => {
+  const parts = [];
+  Object.entries(MESSAGES[name]).forEach(([field, [number, type, repeated]]) => {
+    const value = object[field];
+    if (value === undefined || value === null) return;
+    (repeated ? value : [value]).forEach((item) => parts.push(encodeField(number, type, item)));
+  });
+  return Buffer.concat(parts);
+};
+
+const encodeFeedMessage = (feed) => encodeMessage('FeedMessage', feed);
+
+const feedMessage = (entity, now) => ({
+  header: { gtfsRealtimeVersion: GTFS_RT_VERSION, incrementality: 'FULL_DATASET', timestamp: Math.floor(now / 1000) },
+  entity
+});
+
+const toEpochSeconds = (ms) => Math.round(ms / 1000);
+
+/*
+ * Trip descriptor matching the static feed (GET /api/gtfs.zip): trips with a
+ * scheduled_departure are SCHEDULED, trips started ad hoc are ADDED.
+ */
+const tripDescriptor = (trip, schedule) => ({
+  tripId: trip.id,
+  routeId: schedule?.routeId,
+  startDate: schedule ? gtfsDate(schedule.serviceDate) : undefined,
+  startTime: schedule ? gtfsTime(schedule.startSeconds) : undefined,
+  scheduleRelationship: trip.scheduled_departure ? 'SCHEDULED' : 'ADDED'
+});
+
+const vehicleDescriptor = (trip, bus) => ({
+  id: trip.bus_id,
+  label: bus?.nickname || bus?.name || undefined,
+  licensePlate: bus?.plate_number || bus?.license_plate || undefined
+});
+
+// Index of the schedule stop the bus is at (STOPPED_AT) or heading to (IN_TRANSIT_TO)
+const currentScheduleStop = (schedule, { routeIndex, travelledKm, stopSegment }) => {
+  if (stopSegment) {
+    const index = schedule.stops.findIndex((entry) => entry.segment.order === stopSegment.order);
+    if (index >= 0) return { index, status: 'STOPPED_AT' };
+  }
+  if (!routeIndex || routeIndex.totalLength === 0) return { index: 1, status: 'IN_TRANSIT_TO' };
+
+  const located = locateSegmentsOnRoute(routeIndex, schedule.stops.map((entry) => entry.segment));
+  const next = located.findIndex((entry, i) => i > 0 && entry.distance > travelledKm);
+  return { index: next >= 0 ? next : schedule.stops.length - 1, status: 'IN_TRANSIT_TO' };
+};
+
+/*
+ * vehicles: [{ trip, bus, location, routeIndex, travelledKm, stopSegment, eta }] built from
+ * activeTrips / stopStates / the latest bus_locations row. stopSegment is the stop the bus
+ * is dwelling at, eta the live prediction (lib/eta.js) for the remaining stops.
+ */
+const buildVehiclePositionsFeed = (vehicles, { now = Date.now(), timeZone = DEFAULT_TIME_ZONE } = {}) =>
+  feedMessage(vehicles
+    .filter(({ location }) => location && Number.isFinite(location.lat) && Number.isFinite(location.lng))
+    .map((vehicle) => {
+      const { trip, bus, location } = vehicle;
+      const schedule = buildTripSchedule(trip, timeZone);
+      const current = schedule ? currentScheduleStop(schedule, vehicle) : null;
+
+      return {
+        id: `vehicle-${trip.bus_id}`,
+        vehicle: {
+          trip: tripDescriptor(trip, schedule),
+          vehicle: vehicleDescriptor(trip, bus),
+          position: {
+            latitude: location.lat,
+            longitude: location.lng,
+            bearing: Number.isFinite(location.heading) ? location.heading : undefined,
+            speed: Number.isFinite(location.speed) ? location.speed * KMH_TO_MS : undefined
+          },
+          currentStopSequence: current ? schedule.stops[current.index].stopSequence : undefined,
+          stopId: current ? schedule.stops[current.index].stop.stop_id : undefined,
+          currentStatus: current ? current.status : undefined,
+          timestamp: toEpochSeconds(location.timestamp || now)
+        }
+      };
+    }), now);
+
+// Predicted { arrival, departure } (epoch ms) per segment order from the live ETA
+const predictedTimes = (eta) => {
+  const predictions = new Map();
+  (eta?.stops || []).forEach((stop) => {
+    predictions.set(stop.order, { arrival: Date.parse(stop.estimatedArrival), departure: Date.parse(stop.estimatedDeparture) });
+  });
+  return predictions;
+};
+
+const stopTimeEvent = (predicted, scheduled, scheduledTrip) => ({
+  time: toEpochSeconds(predicted),
+  ...(scheduledTrip && { delay: toEpochSeconds(predicted - scheduled) })
+});
+
+/*
+ * Per-stop predictions for the stops still ahead. Stops and the destination come
+ * from the live ETA; toll gates have no prediction of their own, so consumers
+ * carry the preceding stop's delay over them (GTFS-RT delay propagation).
+ */
+const buildTripUpdatesFeed = (vehicles, { now = Date.now(), timeZone = DEFAULT_TIME_ZONE } = {}) =>
+  feedMessage(vehicles
+    .map((vehicle) => {
+      const { trip, bus, eta } = vehicle;
+      const schedule = buildTripSchedule(trip, timeZone);
+      if (!schedule || !eta) return null;
+
+      const scheduledTrip = Boolean(trip.scheduled_departure);
+      const predictions = predictedTimes(eta);
+      const current = currentScheduleStop(schedule, vehicle);
+      const lastIndex = schedule.stops.length - 1;
+
+      const stopTimeUpdate = schedule.stops
+        .slice(current.index)
+        .map((entry, i) => {
+          const index = current.index + i;
+          const prediction = index === lastIndex
+            ? { arrival: Date.parse(eta.destination.estimatedArrival), departure: null }
+            : predictions.get(entry.segment.order);
+          if (!prediction) return null;
+
+          return {
+            stopSequence: entry.stopSequence,
+            stopId: entry.stop.stop_id,
+            // The bus is already standing at a STOPPED_AT stop: only its departure is ahead
+            arrival: current.status === 'STOPPED_AT' && i === 0 ? undefined : stopTimeEvent(prediction.arrival, entry.arrival, scheduledTrip),
+            departure: prediction.departure ? stopTimeEvent(prediction.departure, entry.departure, scheduledTrip) : undefined,
+            scheduleRelationship: 'SCHEDULED'
+          };
+        })
+        .filter(Boolean);
+
+      return {
+        id: `trip-${trip.id}`,
+        tripUpdate: {
+          trip: tripDescriptor(trip, schedule),
+          vehicle: vehicleDescriptor(trip, bus),
+          stopTimeUpdate,
+          timestamp: toEpochSeconds(Date.parse(eta.computedAt) || now)
+        }
+      };
+    })
+    .filter(Boolean), now);
+
+module.exports = {
+  GTFS_RT_VERSION,
+  encodeFeedMessage,
+  buildVehiclePositionsFeed,
+  buildTripUpdatesFeed
+};
@@ -0,0 +1,132 @@
+// Encoded polyline format (Google, precision 5; Valhalla uses precision 6)
+
+const decodePolyline = (encoded, precision = 5) => {
+  const factor = Math.pow(10, precision);
+  const coordinates = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const readValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += readValue();
+    lng += readValue();
+    coordinates.push({ lat: lat / factor, lng: lng / factor });
+  }
+
+  return coordinates;
+};
+
+const encodeValue = (value) => {
+  let v = value < 0 ? ~(value << 1) : value << 1;
+  let output = '';
+  while (v >= 0x20) {
+    output += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+    v >>= 5;
+  }
+  return output + String.fromCharCode(v + 63);
+};
+
+const encodePolyline = (coordinates, precision = 5) => {
+  const factor = Math.pow(10, precision);
+  let previousLat = 0;
+  let previousLng = 0;
+  let output = '';
+
+  (coordinates || []).forEach((point) => {
+    const lat = Math.round(point.lat * factor);
+    const lng = Math.round(point.lng * factor);
+    output += encodeValue(lat - previousLat) + encodeValue(lng - previousLng);
+    previousLat = lat;
+    previousLng = lng;
+  });
+
+  return output;
+};
+
+// Perpendicular distance (m) of p from segment a-b, equirectangular around a
+const segmentOffsetMeters = (p, a, b) => {
+  const metersPerDegree = 111320;
+  const cosLat = Math.cos((a.lat * Math.PI) / 180);
+  const bx = (b.lng - a.lng) * cosLat * metersPerDegree;
+  const by = (b.lat - a.lat) * metersPerDegree;
+  const px = (p.lng - a.lng) * cosLat * metersPerDegree;
+  const py = (p.lat - a.lat) * metersPerDegree;
+  const lengthSquared = bx * bx + by * by;
+  const t = lengthSquared > 0 ? Math.max(0, Math.min(1, (px * bx + py * by) / lengthSquared)) : 0;
+  return Math.hypot(px - t * bx, py - t * by);
+};
+
+/*
+ * Douglas-Peucker: drop points that stay within toleranceMeters of the simplified line.
+ * First and last points are always kept; tolerance <= 0 returns the input unchanged.
+ */
+const simplifyPolyline = (coordinates, toleranceMeters) => {
+  if (!Array.isArray(coordinates) || coordinates.length <= 2 || !(toleranceMeters > 0)) return coordinates;
+
+  const keep = new Uint8Array(coordinates.length);
+  keep[0] = 1;
+  keep[coordinates.length - 1] = 1;
+  const stack = [[0, coordinates.length - 1]];
+
+  // Iterative, long inter-city routes would overflow a recursive version
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let farthest = -1;
+    let farthestOffset = toleranceMeters;
+    for (let i = first + 1; i < last; i++) {
+      const offset = segmentOffsetMeters(coordinates[i], coordinates[first], coordinates[last]);
+      if (offset > farthestOffset) {
+        farthest = i;
+        farthestOffset = offset;
+      }
+    }
+    if (farthest !== -1) {
+      keep[farthest] = 1;
+      stack.push([first, farthest], [farthest, last]);
+    }
+  }
+
+  return coordinates.filter((point, i) => keep[i]);
+};
+
+/*
+ * Route of a trip or route template in any stored form: route_polyline (encoded),
+ * route as an encoded string, or route as [{ lat, lng }] (legacy rows).
+ */
+const readRouteCoordinates = (row) => {
+  if (!row) return [];
+  if (Array.isArray(row.route) && row.route.length > 0) return row.route;
+  if (typeof row.route_polyline === 'string' && row.route_polyline !== '') return decodePolyline(row.route_polyline);
+  if (typeof row.route === 'string' && row.route !== '') return decodePolyline(row.route);
+  return [];
+};
+
+/*
+ * Columns to store a route with: 'array' -> { route: [{ lat, lng }] }, 'polyline' adds
+ * route_polyline. route stays filled until every reader (front ends, exports) reads
+ * route_polyline, so clearing it is left to a later migration.
+ */
+const routeColumns = (coordinates, format = 'array') =>
+  format === 'polyline'
+    ? { route: coordinates, route_polyline: encodePolyline(coordinates) }
+    : { route: coordinates };
+
+module.exports = {
+  decodePolyline,
+  encodePolyline,
+  simplifyPolyline,
+  readRouteCoordinates,
+  routeColumns
+};
@@ -0,0 +1,47 @@
+// GraphHopper routing provider (hosted API or self-hosted)
+const { fetchJson } = require('./http');
+
+const SIGN_FINISH = 4;
+const SIGN_VIA_REACHED = 5;
+
+const createGraphHopperProvider = ({ baseUrl = 'https://graphhopper.com/api/1', apiKey = null, profile = 'car', timeoutMs } = {}) => ({
+  name: 'graphhopper',
+  profile,
+
+  async route(points) {
+    const params = new URLSearchParams({ profile, points_encoded: 'false', instructions: 'true', calc_points: 'true' });
+    points.forEach((point) => params.append('point', `${point.lat},${point.lng}`));
+    if (apiKey) params.set('key', apiKey);
+
+    const data = await fetchJson(`${baseUrl.replace(/\/+$/, '')}/route?${params}`, { timeoutMs });
+
+    if (!data.paths || data.paths.length === 0) {
+      throw new Error(`GraphHopper returned no paths${data.message ? `: ${data.message}` : ''}`);
+    }
+
+    const path = data.paths[0];
+
+    // Per-leg totals: instructions up to each "via reached" / "finish" sign
+    const legs = [];
+    let leg = { distance: 0, duration: 0 };
+    (path.instructions || []).forEach((instruction) => {
+      leg.distance += instruction.distance / 1000;
+      leg.duration += instruction.time / 60000;
+      if (instruction.sign === SIGN_VIA_REACHED || instruction.sign === SIGN_FINISH) {
+        legs.push(leg);
+        leg = { distance: 0, duration: 0 };
+      }
+    });
+
+    return {
+      coordinates: path.points.coordinates.map(([lng, lat]) => ({ lat, lng })),
+      distance: path.distance / 1000,
+      duration: path.time / 60000,
+      legs: legs.length === points.length - 1 ? legs : []
+    };
+  }
+});
+
+module.exports = {
+  createGraphHopperProvider
+};
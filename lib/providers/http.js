@@ -0,0 +1,30 @@
+// Shared HTTP helper for routing providers
+const fetch = require('node-fetch');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Fetch JSON with a timeout, throwing on network errors and non-2xx responses
+const fetchJson = async (url, { timeoutMs = DEFAULT_TIMEOUT_MS, ...options } = {}) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, { ...options, signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} from ${new URL(url).host}`);
+    }
+    return await response.json();
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`Timeout after ${timeoutMs}ms from ${new URL(url).host}`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+module.exports = {
+  DEFAULT_TIMEOUT_MS,
+  fetchJson
+};
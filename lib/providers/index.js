@@ -0,0 +1,60 @@
+// Routing providers, selected and ordered per deployment
+const { DEFAULT_TIMEOUT_MS } = require('./http');
+const { createOsrmProvider } = require('./osrm');
+const { createValhallaProvider } = require('./valhalla');
+const { createGraphHopperProvider } = require('./graphhopper');
+const { createOfflineProvider } = require('./offline');
+
+/*
+ * Provider interface:
+ *   name, profile
+ *   route(points) -> { coordinates, distance (km), duration (min), legs: [{ distance, duration }] }
+ *   throws when the provider cannot route; the caller moves on to the next one
+ */
+const PROVIDER_FACTORIES = {
+  osrm: (env, timeoutMs) => createOsrmProvider({
+    baseUrl: env.OSRM_BASE_URL || undefined,
+    profile: env.OSRM_PROFILE || undefined,
+    timeoutMs
+  }),
+  valhalla: (env, timeoutMs) => createValhallaProvider({
+    baseUrl: env.VALHALLA_BASE_URL,
+    costing: env.VALHALLA_COSTING || undefined,
+    timeoutMs
+  }),
+  graphhopper: (env, timeoutMs) => createGraphHopperProvider({
+    baseUrl: env.GRAPHHOPPER_BASE_URL || undefined,
+    apiKey: env.GRAPHHOPPER_API_KEY || null,
+    profile: env.GRAPHHOPPER_PROFILE || undefined,
+    timeoutMs
+  }),
+  offline: (env) => createOfflineProvider({
+    file: env.OFFLINE_ROAD_GRAPH_FILE,
+    maxSnapKm: Number(env.OFFLINE_MAX_SNAP_KM) || undefined
+  })
+};
+
+// ROUTING_PROVIDERS="osrm,offline" -> providers in fallback order
+const createProvidersFromEnv = (env = process.env) => {
+  const names = (env.ROUTING_PROVIDERS || 'osrm')
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+  const timeoutMs = Number(env.ROUTING_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+
+  return names.map((name) => {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown routing provider "${name}" (expected one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')})`);
+    }
+    return factory(env, timeoutMs);
+  });
+};
+
+module.exports = {
+  createProvidersFromEnv,
+  createOsrmProvider,
+  createValhallaProvider,
+  createGraphHopperProvider,
+  createOfflineProvider
+};
@@ -0,0 +1,216 @@
+// Offline routing over a locally loaded GeoJSON road graph (Dijkstra, no network)
+const fs = require('fs');
+const { calculateDistance } = require('../geometry');
+
+const DEFAULT_SPEED_KMH = 50;
+const NODE_PRECISION = 6; // ~0.1m, joins LineStrings that share an endpoint
+
+// Minimal binary min-heap on [priority, value]
+const createHeap = () => {
+  const items = [];
+
+  const push = (priority, value) => {
+    items.push([priority, value]);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent][0] <= items[i][0]) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  };
+
+  const pop = () => {
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left][0] < items[smallest][0]) smallest = left;
+        if (right < items.length && items[right][0] < items[smallest][0]) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  };
+
+  return { push, pop, get size() { return items.length; } };
+};
+
+const parseSpeed = (value) => {
+  const speed = parseFloat(value);
+  return Number.isFinite(speed) && speed > 0 ? speed : DEFAULT_SPEED_KMH;
+};
+
+const isOneway = (value) => value === true || value === 'yes' || value === '1' || value === 1;
+
+/*
+ * Graph from GeoJSON LineString / MultiLineString features. Edges are weighted by
+ * travel time from properties.maxspeed (km/h), two-way unless properties.oneway.
+ */
+const buildRoadGraph = (geojson) => {
+  const nodes = [];
+  const nodeIds = new Map();
+  const edges = [];
+
+  const nodeFor = ([lng, lat]) => {
+    const key = `${lat.toFixed(NODE_PRECISION)},${lng.toFixed(NODE_PRECISION)}`;
+    if (!nodeIds.has(key)) {
+      nodeIds.set(key, nodes.length);
+      nodes.push({ lat, lng, connected: false });
+      edges.push([]);
+    }
+    return nodeIds.get(key);
+  };
+
+  const addLine = (line, properties) => {
+    const speed = parseSpeed(properties.maxspeed);
+    const oneway = isOneway(properties.oneway);
+    for (let i = 1; i < line.length; i++) {
+      const from = nodeFor(line[i - 1]);
+      const to = nodeFor(line[i]);
+      if (from === to) continue;
+      const distance = calculateDistance(nodes[from].lat, nodes[from].lng, nodes[to].lat, nodes[to].lng);
+      const duration = (distance / speed) * 60;
+      edges[from].push({ to, distance, duration });
+      if (!oneway) edges[to].push({ to: from, distance, duration });
+      nodes[from].connected = true;
+      nodes[to].connected = true;
+    }
+  };
+
+  const features = geojson.type === 'FeatureCollection' ? geojson.features : [geojson];
+  (features || []).forEach((feature) => {
+    const geometry = feature && feature.geometry;
+    const properties = (feature && feature.properties) || {};
+    if (!geometry) return;
+    if (geometry.type === 'LineString') addLine(geometry.coordinates, properties);
+    if (geometry.type === 'MultiLineString') geometry.coordinates.forEach((line) => addLine(line, properties));
+  });
+
+  return { nodes, edges };
+};
+
+const nearestNode = (graph, point) => {
+  let best = -1;
+  let bestDistance = Infinity;
+  graph.nodes.forEach((node, i) => {
+    if (!node.connected) return;
+    const distance = calculateDistance(point.lat, point.lng, node.lat, node.lng);
+    if (distance < bestDistance) {
+      best = i;
+      bestDistance = distance;
+    }
+  });
+  return best;
+};
+
+// Fastest path between two node ids, null when unreachable
+const shortestPath = (graph, source, target) => {
+  const time = new Map([[source, 0]]);
+  const previous = new Map();
+  const heap = createHeap();
+  heap.push(0, source);
+
+  while (heap.size > 0) {
+    const [cost, node] = heap.pop();
+    if (node === target) break;
+    if (cost > time.get(node)) continue;
+
+    graph.edges[node].forEach((edge) => {
+      const next = cost + edge.duration;
+      if (next < (time.has(edge.to) ? time.get(edge.to) : Infinity)) {
+        time.set(edge.to, next);
+        previous.set(edge.to, { node, edge });
+        heap.push(next, edge.to);
+      }
+    });
+  }
+
+  if (!time.has(target)) return null;
+
+  const path = [target];
+  let distance = 0;
+  let node = target;
+  while (node !== source) {
+    const step = previous.get(node);
+    distance += step.edge.distance;
+    node = step.node;
+    path.unshift(node);
+  }
+
+  return { path, distance, duration: time.get(target) };
+};
+
+const createOfflineProvider = ({ file, speedKmh = DEFAULT_SPEED_KMH, maxSnapKm = 2 } = {}) => {
+  if (!file) throw new Error('Offline provider requires OFFLINE_ROAD_GRAPH_FILE');
+
+  const graph = buildRoadGraph(JSON.parse(fs.readFileSync(file, 'utf8')));
+  console.log(`🗺️ Offline road graph loaded: ${graph.nodes.length} nodes from ${file}`);
+
+  // Straight connector between a waypoint and its snapped node
+  const connector = (from, to) => {
+    const distance = calculateDistance(from.lat, from.lng, to.lat, to.lng);
+    return { distance, duration: (distance / speedKmh) * 60 };
+  };
+
+  const routeLeg = (start, end) => {
+    const source = nearestNode(graph, start);
+    const target = nearestNode(graph, end);
+    if (source < 0 || target < 0) throw new Error('Offline road graph is empty');
+
+    const snapStart = connector(start, graph.nodes[source]);
+    const snapEnd = connector(graph.nodes[target], end);
+    if (snapStart.distance > maxSnapKm || snapEnd.distance > maxSnapKm) {
+      throw new Error(`Waypoint is more than ${maxSnapKm}km from the offline road graph`);
+    }
+
+    const result = shortestPath(graph, source, target);
+    if (!result) throw new Error('No path in offline road graph');
+
+    // Connectors are only added when the waypoint is off the graph
+    const coordinates = result.path.map((id) => ({ lat: graph.nodes[id].lat, lng: graph.nodes[id].lng }));
+    if (snapStart.distance > 0) coordinates.unshift({ lat: start.lat, lng: start.lng });
+    if (snapEnd.distance > 0) coordinates.push({ lat: end.lat, lng: end.lng });
+
+    return {
+      coordinates,
+      distance: snapStart.distance + result.distance + snapEnd.distance,
+      duration: snapStart.duration + result.duration + snapEnd.duration
+    };
+  };
+
+  return {
+    name: 'offline',
+    profile: 'graph',
+
+    async route(points) {
+      const coordinates = [];
+      const legs = [];
+      for (let i = 0; i < points.length - 1; i++) {
+        const leg = routeLeg(points[i], points[i + 1]);
+        coordinates.push(...(i === 0 ? leg.coordinates : leg.coordinates.slice(1)));
+        legs.push({ distance: leg.distance, duration: leg.duration });
+      }
+
+      return {
+        coordinates,
+        distance: legs.reduce((sum, leg) => sum + leg.distance, 0),
+        duration: legs.reduce((sum, leg) => sum + leg.duration, 0),
+        legs
+      };
+    }
+  };
+};
+
+module.exports = {
+  buildRoadGraph,
+  shortestPath,
+  createOfflineProvider
+};
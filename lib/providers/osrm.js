@@ -0,0 +1,34 @@
+// OSRM routing provider (public demo server or self-hosted instance)
+const { fetchJson } = require('./http');
+
+const createOsrmProvider = ({ baseUrl = 'https://router.project-osrm.org', profile = 'driving', timeoutMs } = {}) => ({
+  name: 'osrm',
+  profile,
+
+  // points: [{ lat, lng }, ...] (2 or more) -> { coordinates, distance (km), duration (min), legs }
+  async route(points) {
+    // Format coordinates for OSRM (lng,lat)
+    const coordinates = points.map((point) => `${point.lng},${point.lat}`).join(';');
+    const url = `${baseUrl.replace(/\/+$/, '')}/route/v1/${profile}/${coordinates}?overview=full&geometries=geojson`;
+
+    console.log(`📡 Backend OSRM API URL: ${url}`);
+    const data = await fetchJson(url, { timeoutMs });
+
+    if (!data.routes || data.routes.length === 0) {
+      throw new Error(`OSRM returned no routes (${data.code || 'unknown'})`);
+    }
+
+    const route = data.routes[0];
+    return {
+      // GeoJSON uses [lng, lat]
+      coordinates: route.geometry.coordinates.map(([lng, lat]) => ({ lat, lng })),
+      distance: route.distance / 1000,
+      duration: route.duration / 60,
+      legs: (route.legs || []).map((leg) => ({ distance: leg.distance / 1000, duration: leg.duration / 60 }))
+    };
+  }
+});
+
+module.exports = {
+  createOsrmProvider
+};
@@ -0,0 +1,49 @@
+// Valhalla routing provider
+const { fetchJson } = require('./http');
+const { decodePolyline } = require('../polyline');
+
+const createValhallaProvider = ({ baseUrl, costing = 'auto', timeoutMs } = {}) => {
+  if (!baseUrl) throw new Error('Valhalla provider requires VALHALLA_BASE_URL');
+
+  return {
+    name: 'valhalla',
+    profile: costing,
+
+    async route(points) {
+      const body = {
+        locations: points.map((point) => ({ lat: point.lat, lon: point.lng, type: 'break' })),
+        costing,
+        directions_options: { units: 'kilometers' }
+      };
+
+      const data = await fetchJson(`${baseUrl.replace(/\/+$/, '')}/route`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        timeoutMs
+      });
+
+      if (!data.trip || !data.trip.legs || data.trip.legs.length === 0) {
+        throw new Error('Valhalla returned no trip');
+      }
+
+      // Leg shapes are polyline6, consecutive legs share their joint point
+      const coordinates = [];
+      data.trip.legs.forEach((leg, i) => {
+        const shape = decodePolyline(leg.shape, 6);
+        coordinates.push(...(i === 0 ? shape : shape.slice(1)));
+      });
+
+      return {
+        coordinates,
+        distance: data.trip.summary.length,
+        duration: data.trip.summary.time / 60,
+        legs: data.trip.legs.map((leg) => ({ distance: leg.summary.length, duration: leg.summary.time / 60 }))
+      };
+    }
+  };
+};
+
+module.exports = {
+  createValhallaProvider
+};
@@ -0,0 +1,107 @@
+// Replay of recorded trip tracks (bus_location_history points, oldest first)
+const { openEventStream, formatEvent } = require('./stream');
+
+const MAX_REPLAY_SPEED = 3600;
+
+// Epoch milliseconds or ISO date string -> milliseconds, null when invalid
+const parseTimestamp = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const numeric = Number(value);
+  const time = Number.isFinite(numeric) ? numeric : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+};
+
+const toState = (point) => ({
+  timestamp: point.timestamp,
+  lat: point.lat,
+  lng: point.lng,
+  speed: point.speed ?? null,
+  progress: point.progress,
+  elapsedMinutes: point.elapsed_time_minutes ?? null,
+  atStop: Boolean(point.at_stop),
+  stopIndex: point.stop_index ?? null,
+  paused: Boolean(point.paused)
+});
+
+/*
+ * Bus state at time `at`: position, progress and speed are interpolated between
+ * the surrounding ticks, stop/pause status is taken from the tick before.
+ * phase: 'before_start' | 'in_track' | 'after_end'
+ */
+const stateAt = (points, at) => {
+  if (!points || points.length === 0) return null;
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  if (at <= first.timestamp) return { phase: at < first.timestamp ? 'before_start' : 'in_track', ...toState(first) };
+  if (at >= last.timestamp) return { phase: at > last.timestamp ? 'after_end' : 'in_track', ...toState(last) };
+
+  // Binary search the tick at or before `at`
+  let low = 0;
+  let high = points.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (points[mid].timestamp <= at) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  const before = points[low];
+  const after = points[low + 1];
+  const span = after.timestamp - before.timestamp;
+  const ratio = span > 0 ? (at - before.timestamp) / span : 0;
+  const lerp = (a, b) => (typeof a === 'number' && typeof b === 'number' ? a + (b - a) * ratio : a ?? null);
+
+  return {
+    phase: 'in_track',
+    ...toState(before),
+    timestamp: at,
+    lat: lerp(before.lat, after.lat),
+    lng: lerp(before.lng, after.lng),
+    progress: lerp(before.progress, after.progress),
+    // Speed is constant between ticks when the bus is stopped
+    speed: before.speed === 0 ? 0 : lerp(before.speed, after.speed),
+    elapsedMinutes: lerp(before.elapsed_time_minutes, after.elapsed_time_minutes)
+  };
+};
+
+/*
+ * Re-emit recorded ticks as SSE with their original spacing divided by `speed`.
+ * Events: replay.start, replay.position (one per tick), replay.end
+ */
+const streamReplay = (req, res, points, { speed = 1, from = null, tripId } = {}) => {
+  const playback = points.filter((point) => from === null || point.timestamp >= from);
+  let index = 0;
+  let timer = null;
+
+  openEventStream(res);
+  res.write(formatEvent(0, 'replay.start', { tripId, speed, totalPoints: playback.length }));
+
+  const emitNext = () => {
+    if (index >= playback.length) {
+      res.write(formatEvent(index + 1, 'replay.end', { tripId }));
+      res.end();
+      return;
+    }
+
+    const point = playback[index];
+    index++;
+    res.write(formatEvent(index, 'replay.position', { tripId, index: index - 1, ...toState(point) }));
+
+    const next = playback[index];
+    const delay = next ? Math.max(0, (next.timestamp - point.timestamp) / speed) : 0;
+    timer = setTimeout(emitNext, delay);
+  };
+
+  req.on('close', () => clearTimeout(timer));
+  emitNext();
+};
+
+module.exports = {
+  MAX_REPLAY_SPEED,
+  parseTimestamp,
+  stateAt,
+  streamReplay
+};
@@ -0,0 +1,110 @@
+// Persistent cache for routing lookups, keyed by rounded waypoint coordinates and profile
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TTL_HOURS = 24 * 7;
+const DEFAULT_PRECISION = 5; // ~1m
+
+const createRouteCache = ({ file = null, ttlHours = DEFAULT_TTL_HOURS, precision = DEFAULT_PRECISION } = {}) => {
+  const ttlMs = ttlHours * 60 * 60 * 1000;
+  const entries = new Map();
+  const stats = { hits: 0, misses: 0, staleHits: 0, writes: 0, invalidations: 0 };
+  let writeQueue = Promise.resolve();
+
+  if (file && fs.existsSync(file)) {
+    try {
+      const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+      (snapshot.entries || []).forEach((entry) => entries.set(entry.key, entry));
+      console.log(`📂 Route cache loaded ${entries.size} entries from ${file}`);
+    } catch (error) {
+      console.error(`Route cache: ignoring unreadable file ${file}:`, error.message);
+    }
+  }
+
+  const persist = () => {
+    if (!file) return writeQueue;
+    const snapshot = { entries: Array.from(entries.values()) };
+    writeQueue = writeQueue
+      .then(() => fs.promises.mkdir(path.dirname(path.resolve(file)), { recursive: true }))
+      .then(() => fs.promises.writeFile(file, JSON.stringify(snapshot)))
+      .catch((error) => console.error('Route cache: failed to write file:', error));
+    return writeQueue;
+  };
+
+  const round = (value) => Number(value).toFixed(precision);
+  const pathKeyFor = (points, profile = 'driving') =>
+    `${profile}:${points.map((point) => `${round(point.lat)},${round(point.lng)}`).join(';')}`;
+
+  const isFresh = (entry, now = Date.now()) => now - entry.storedAt < ttlMs;
+
+  /*
+   * First fresh entry among profiles (checked in order), or with allowStale the first
+   * entry at all (routing service unreachable). -> { route, profile } | null.
+   * One call counts as one lookup in the stats, however many profiles it checks;
+   * countMiss: false leaves a miss uncounted (the caller looks further, e.g. leg by leg).
+   */
+  const getPath = (points, profiles, { allowStale = false, countMiss = !allowStale } = {}) => {
+    const found = profiles
+      .map((profile) => ({ profile, entry: entries.get(pathKeyFor(points, profile)) }))
+      .filter(({ entry }) => entry && (allowStale || isFresh(entry)));
+    const match = found.find(({ entry }) => isFresh(entry)) || found[0];
+
+    if (!match) {
+      if (countMiss) stats.misses++;
+      return null;
+    }
+    if (isFresh(match.entry)) stats.hits++;
+    else stats.staleHits++;
+    return { route: match.entry.route, profile: match.profile };
+  };
+
+  const setPath = (points, profile, route) => {
+    const key = pathKeyFor(points, profile);
+    entries.set(key, { key, profile, storedAt: Date.now(), route });
+    stats.writes++;
+    persist();
+  };
+
+  return {
+    pathKeyFor,
+    getPath,
+    setPath,
+
+    // Remove one key, every key of a profile ("osrm:driving", or "driving" for every provider), or everything
+    invalidate({ key = null, profile = null } = {}) {
+      let removed = 0;
+      const matchesProfile = (entryProfile) => entryProfile === profile || entryProfile.endsWith(`:${profile}`);
+      Array.from(entries.keys()).forEach((entryKey) => {
+        const entry = entries.get(entryKey);
+        if ((key && entryKey !== key) || (profile && !matchesProfile(entry.profile))) return;
+        entries.delete(entryKey);
+        removed++;
+      });
+      stats.invalidations += removed;
+      persist();
+      return removed;
+    },
+
+    stats() {
+      const now = Date.now();
+      const fresh = Array.from(entries.values()).filter((entry) => isFresh(entry, now)).length;
+      const lookups = stats.hits + stats.misses;
+      return {
+        ...stats,
+        hitRate: lookups > 0 ? stats.hits / lookups : null,
+        entries: entries.size,
+        freshEntries: fresh,
+        ttlHours,
+        file
+      };
+    },
+
+    flush() {
+      return writeQueue;
+    }
+  };
+};
+
+module.exports = {
+  createRouteCache
+};
@@ -1,23 +1,55 @@
-// Backend routing functionality menggunakan OSRM API
-const fetch = require('node-fetch');
+// Backend routing functionality via pluggable routing providers (lib/providers)
+const { calculateDistance, buildRouteIndex, projectOnRoute } = require('./geometry');
+const { sortSegments, getSegmentWaypoint } = require('./segments');
+const { createOsrmProvider } = require('./providers');
+const { simplifyPolyline } = require('./polyline');
 
-const OSRM_BASE_URL = "https://router.project-osrm.org";
+// Providers in fallback order, public OSRM unless configured otherwise
+let routingProviders = [createOsrmProvider()];
 
-// Calculate distance using Haversine formula
-const calculateDistance = (lat1, lng1, lat2, lng2) => {
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = toRadians(lat2 - lat1);
-  const dLng = toRadians(lng2 - lng1);
+const setRoutingProviders = (providers) => {
+  routingProviders = providers && providers.length > 0 ? providers : [createOsrmProvider()];
+};
+
+const getRoutingProviders = () => routingProviders;
+
+// Optional persistent route cache (lib/routeCache.js)
+let routeCache = null;
+
+const setRouteCache = (cache) => {
+  routeCache = cache;
+};
+
+// Douglas-Peucker tolerance (m) for stored trip routes, 0 keeps full provider geometry
+let simplifyToleranceMeters = 0;
+
+const setRouteSimplification = (toleranceMeters) => {
+  simplifyToleranceMeters = Number(toleranceMeters) > 0 ? Number(toleranceMeters) : 0;
+};
 
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) * Math.sin(dLng / 2);
+// Legs no provider could route: straight line or expired cache entry (source may list several, 'osrm,direct')
+const DEGRADED_LEG_SOURCES = ['direct', 'stale-cache'];
 
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
+const findDegradedLegs = (legs) =>
+  (legs || []).filter((leg) => String(leg.source || '').split(',').some((source) => DEGRADED_LEG_SOURCES.includes(source)));
+
+// Cache profile per provider so a self-hosted graph never serves another provider's routes
+const cacheProfile = (provider) => `${provider.name}:${provider.profile}`;
+
+// Cached route through the same waypoints from any configured provider -> { route, provider } | null
+const getCachedRoute = (points, options) => {
+  const cached = routeCache && routeCache.getPath(points, routingProviders.map(cacheProfile), options);
+  if (!cached) return null;
+  return { route: cached.route, provider: routingProviders.find((provider) => cacheProfile(provider) === cached.profile) };
 };
 
-const toRadians = (degrees) => degrees * (Math.PI / 180);
+// Expired cached route through the same waypoints, used once every provider failed
+const getStaleRoute = (points) => {
+  const stale = getCachedRoute(points, { allowStale: true });
+  if (!stale) return null;
+  console.log(`💾 Backend: Using stale cached ${stale.provider.name} route (${points.length} waypoints, routing providers unavailable)`);
+  return { ...stale.route, source: 'stale-cache', provider: stale.provider.name };
+};
 
 // Validate coordinates
 const isValidCoordinate = (lat, lng) => {
@@ -28,73 +60,142 @@ const isValidCoordinate = (lat, lng) => {
          (lat !== 0 || lng !== 0); // Exclude null island
 };
 
-// Get route from OSRM API with enhanced error handling
-const getRouteFromOSRM = async (startPoint, endPoint) => {
-  try {
-    console.log(`🛣️ Backend: Getting OSRM route from ${startPoint.name} to ${endPoint.name}`);
-    
-    // Validate coordinates first
-    if (!isValidCoordinate(startPoint.lat, startPoint.lng) || 
-        !isValidCoordinate(endPoint.lat, endPoint.lng)) {
-      console.warn('Backend: Invalid coordinates, falling back to direct route');
-      return getDirectRoute(startPoint, endPoint);
-    }
-    
-    // Format coordinates for OSRM (lng,lat)
-    const coordinates = `${startPoint.lng},${startPoint.lat};${endPoint.lng},${endPoint.lat}`;
-    const url = `${OSRM_BASE_URL}/route/v1/driving/${coordinates}?overview=full&geometries=geojson&steps=true`;
-    
-    console.log(`📡 Backend OSRM API URL: ${url}`);
-    
-    // Add timeout to prevent hanging
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
-    
-    const response = await fetch(url, { 
-      signal: controller.signal 
-    }).finally(() => clearTimeout(timeoutId));
-    
-    if (!response.ok) {
-      console.warn(`Backend OSRM API failed (${response.status}), falling back to direct route`);
-      return getDirectRoute(startPoint, endPoint);
-    }
-    
-    const data = await response.json();
-    
-    if (!data.routes || data.routes.length === 0) {
-      console.warn('Backend: No routes found from OSRM, falling back to direct route');
-      return getDirectRoute(startPoint, endPoint);
-    }
-    
-    const route = data.routes[0];
-    const geometry = route.geometry;
-    
-    // Convert GeoJSON coordinates to our format
-    const routeCoordinates = geometry.coordinates.map(coord => ({
-      lat: coord[1], // GeoJSON uses [lng, lat]
-      lng: coord[0]
-    }));
-    
-    const distanceKm = route.distance / 1000; // Convert meters to kilometers
-    const durationMin = route.duration / 60;   // Convert seconds to minutes
-    
-    console.log(`✅ Backend OSRM route: ${distanceKm.toFixed(1)}km, ${durationMin.toFixed(0)} minutes, ${routeCoordinates.length} points`);
-    
-    return {
-      coordinates: routeCoordinates,
-      distance: distanceKm,
-      duration: durationMin
-    };
-    
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      console.warn('Backend: OSRM API timeout, falling back to direct route');
-    } else {
-      console.error('Backend: Error calling OSRM API:', error);
+// Per-leg distance/duration from the geometry when a provider does not report legs
+const deriveLegs = (route, points) => {
+  const routeIndex = buildRouteIndex(route.coordinates);
+  const minutesPerKm = routeIndex.totalLength > 0 ? route.duration / routeIndex.totalLength : 0;
+  const along = [0];
+  let fromKm = 0;
+  for (let i = 1; i < points.length - 1; i++) {
+    const projection = projectOnRoute(routeIndex, points[i], fromKm);
+    fromKm = projection ? projection.distanceAlong : fromKm;
+    along.push(fromKm);
+  }
+  along.push(routeIndex.totalLength);
+
+  return along.slice(1).map((km, i) => {
+    const distance = Math.max(0, km - along[i]);
+    return { distance, duration: distance * minutesPerKm };
+  });
+};
+
+// Route geometry cut where each intermediate waypoint projects onto it -> coordinates per leg
+const splitLegGeometry = (coordinates, points) => {
+  const routeIndex = buildRouteIndex(coordinates);
+  const pieces = [];
+  let start = coordinates[0];
+  let nextIndex = 1;
+  let fromKm = 0;
+  for (let i = 1; i < points.length - 1; i++) {
+    const projection = projectOnRoute(routeIndex, points[i], fromKm);
+    if (!projection) return null;
+    const cut = { lat: projection.lat, lng: projection.lng };
+    pieces.push([start, ...coordinates.slice(nextIndex, projection.segmentIndex + 1), cut]);
+    start = cut;
+    nextIndex = Math.max(nextIndex, projection.segmentIndex + 1);
+    fromKm = projection.distanceAlong;
+  }
+  pieces.push([start, ...coordinates.slice(nextIndex)]);
+
+  // A waypoint on a vertex would otherwise appear twice
+  return pieces.map((piece) => piece.filter((point, i) =>
+    i === 0 || point.lat !== piece[i - 1].lat || point.lng !== piece[i - 1].lng));
+};
+
+// Also cache every leg of a multi-waypoint route, so trips sharing a leg hit the cache
+const cacheLegs = (points, profile, route) => {
+  if (points.length <= 2) return;
+  const pieces = splitLegGeometry(route.coordinates, points);
+  if (!pieces) return;
+  pieces.forEach((coordinates, i) => {
+    const { distance, duration } = route.legs[i];
+    routeCache.setPath([points[i], points[i + 1]], profile, { coordinates, distance, duration, legs: [{ distance, duration }] });
+  });
+};
+
+// Multi-waypoint route assembled from cached legs (fresh only) -> route | null
+const getCachedLegs = (points) => {
+  const cachedLegs = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const cached = getCachedRoute([points[i], points[i + 1]]);
+    if (!cached) return null;
+    cachedLegs.push(cached);
+  }
+
+  return {
+    coordinates: cachedLegs.flatMap(({ route }, i) => (i === 0 ? route.coordinates : route.coordinates.slice(1))),
+    distance: cachedLegs.reduce((total, { route }) => total + route.distance, 0),
+    duration: cachedLegs.reduce((total, { route }) => total + route.duration, 0),
+    legs: cachedLegs.map(({ route }) => ({ distance: route.distance, duration: route.duration })),
+    provider: [...new Set(cachedLegs.map(({ provider }) => provider.name))].join(',')
+  };
+};
+
+// One request through all waypoints: fresh cache (whole path, then leg by leg), then each provider in order.
+// Providers named in `unavailable` are skipped, and failing ones are added to it so a
+// caller routing several legs waits for a down provider once. Returns null when nothing could route it.
+const routeThrough = async (points, unavailable = new Set()) => {
+  // A multi-waypoint miss is only counted once its legs miss as well
+  const cached = getCachedRoute(points, { countMiss: points.length <= 2 });
+  if (cached) {
+    console.log(`💾 Backend: Route cache hit (${cached.provider.name}, ${points.length} waypoints)`);
+    return { ...cached.route, source: 'cache', provider: cached.provider.name };
+  }
+
+  const fromLegs = points.length > 2 ? getCachedLegs(points) : null;
+  if (fromLegs) {
+    console.log(`💾 Backend: Route cache hit for every leg (${fromLegs.provider}, ${points.length} waypoints)`);
+    return { ...fromLegs, source: 'cache' };
+  }
+
+  for (const provider of routingProviders) {
+    if (unavailable.has(provider.name)) continue;
+    try {
+      const route = await provider.route(points);
+      if (!route.coordinates || route.coordinates.length === 0) {
+        throw new Error('empty geometry');
+      }
+
+      console.log(`✅ Backend ${provider.name} route: ${route.distance.toFixed(1)}km, ${route.duration.toFixed(0)} minutes, ${route.coordinates.length} points, ${points.length} waypoints`);
+
+      const result = {
+        coordinates: route.coordinates,
+        distance: route.distance,
+        duration: route.duration,
+        legs: route.legs && route.legs.length === points.length - 1 ? route.legs : deriveLegs(route, points)
+      };
+
+      if (routeCache) {
+        routeCache.setPath(points, cacheProfile(provider), result);
+        cacheLegs(points, cacheProfile(provider), result);
+      }
+
+      return { ...result, source: provider.name, provider: provider.name };
+    } catch (error) {
+      console.warn(`Backend: Routing provider ${provider.name} failed: ${error.message}`);
+      unavailable.add(provider.name);
     }
-    console.log('Backend: Falling back to direct route calculation');
+  }
+
+  return null;
+};
+
+// Get road route between two points, trying each provider in order (except the `unavailable` ones)
+const getRoute = async (startPoint, endPoint, unavailable = new Set()) => {
+  console.log(`🛣️ Backend: Getting route from ${startPoint.name} to ${endPoint.name}`);
+
+  // Validate coordinates first
+  if (!isValidCoordinate(startPoint.lat, startPoint.lng) || 
+      !isValidCoordinate(endPoint.lat, endPoint.lng)) {
+    console.warn('Backend: Invalid coordinates, falling back to direct route');
     return getDirectRoute(startPoint, endPoint);
   }
+
+  const route = await routeThrough([startPoint, endPoint], unavailable);
+  if (route) return route;
+
+  console.log('Backend: All routing providers failed, falling back');
+  return getStaleRoute([startPoint, endPoint]) || getDirectRoute(startPoint, endPoint);
 };
 
 // Enhanced fallback direct route calculation
@@ -124,8 +225,86 @@ const getDirectRoute = (startPoint, endPoint) => {
   return {
     coordinates,
     distance: directDistance,
-    duration: directDuration
+    duration: directDuration,
+    source: 'direct'
+  };
+};
+
+// Point the bus leaves a segment from (today's rule: toll entry gate, otherwise the location)
+const getDeparturePoint = (segment) => {
+  if (segment.type === 'toll_entry' && segment.toll_entry_gate) return segment.toll_entry_gate;
+  return segment.location;
+};
+
+const toWaypoint = (point, segmentIndex) => ({
+  name: point.name,
+  lat: point.lat,
+  lng: point.lng,
+  segmentIndex
+});
+
+/*
+ * Ordered waypoints for one routing request. Each segment contributes the point
+ * the bus arrives at (toll gates for toll segments) and, when it differs, the
+ * point it leaves from (a toll exit gate is followed by the exit location).
+ * Points closer than 10m to the previous waypoint are dropped.
+ */
+const buildWaypoints = (sortedSegments) => {
+  const waypoints = [];
+
+  const add = (point, segmentIndex) => {
+    if (!point || !isValidCoordinate(point.lat, point.lng)) return;
+    const previous = waypoints[waypoints.length - 1];
+    if (previous && calculateDistance(previous.lat, previous.lng, point.lat, point.lng) < 0.01) {
+      console.log(`⚠️ Backend: Skipping waypoint ${point.name} (distance too small)`);
+      return;
+    }
+    waypoints.push(toWaypoint(point, segmentIndex));
   };
+
+  sortedSegments.forEach((segment, i) => {
+    const arrival = i > 0 ? getSegmentWaypoint(segment) : null;
+    const departure = i < sortedSegments.length - 1 ? getDeparturePoint(segment) : null;
+    if (arrival) add(arrival, i);
+    if (departure && departure !== arrival) add(departure, i);
+  });
+
+  return waypoints;
+};
+
+const describeSegment = (segment) => ({
+  segmentId: segment.id ?? null,
+  order: segment.order,
+  type: segment.type,
+  name: segment.location?.name ?? null
+});
+
+// Waypoint legs -> one leg per consecutive segment pair (distance and travel time between stops)
+const groupLegsBySegment = (waypoints, waypointLegs, sortedSegments) => {
+  const legs = [];
+
+  waypointLegs.forEach((leg, i) => {
+    const fromIndex = waypoints[i].segmentIndex;
+    let current = legs[legs.length - 1];
+    if (!current || current.fromIndex !== fromIndex) {
+      current = { fromIndex, toIndex: fromIndex, distance: 0, duration: 0, sources: new Set() };
+      legs.push(current);
+    }
+    current.toIndex = waypoints[i + 1].segmentIndex;
+    current.distance += leg.distance;
+    current.duration += leg.duration;
+    current.sources.add(leg.source);
+  });
+
+  return legs
+    .filter((leg) => leg.toIndex !== leg.fromIndex)
+    .map((leg) => ({
+      from: describeSegment(sortedSegments[leg.fromIndex]),
+      to: describeSegment(sortedSegments[leg.toIndex]),
+      distance: leg.distance,
+      duration: leg.duration,
+      source: Array.from(leg.sources).join(',')
+    }));
 };
 
 // ENHANCED: Calculate route from segments with support untuk partial routes
@@ -153,132 +332,62 @@ const calculateRouteFromSegments = async (segments) => {
         coordinates,
         distance: 0.1,
         duration: 1,
+        legs: [],
         segments: segments
       };
     }
 
-    let totalDistance = 0;
-    let totalDuration = 0;
-    const allCoordinates = [];
-    
-    // Sort segments by order
-    const sortedSegments = [...segments].sort((a, b) => a.order - b.order);
-    
-    // ENHANCED: Process each segment pair dengan better error handling
-    for (let i = 0; i < sortedSegments.length - 1; i++) {
-      const currentSegment = sortedSegments[i];
-      const nextSegment = sortedSegments[i + 1];
-      
-      // Validate locations
-      if (!currentSegment.location || !nextSegment.location) {
-        console.warn('Backend: Skipping segment with missing location:', currentSegment.type, nextSegment.type);
-        continue;
+    // Sort segments by order, skipping ones without usable coordinates
+    const sortedSegments = sortSegments(segments).filter((segment) => {
+      if (!segment.location || !isValidCoordinate(segment.location.lat, segment.location.lng)) {
+        console.warn('Backend: Skipping segment with missing or invalid location:', segment.type, segment.order);
+        return false;
       }
+      return true;
+    });
 
-      if (!isValidCoordinate(currentSegment.location.lat, currentSegment.location.lng) ||
-          !isValidCoordinate(nextSegment.location.lat, nextSegment.location.lng)) {
-        console.warn('Backend: Skipping segment with invalid coordinates:', currentSegment, nextSegment);
-        continue;
-      }
-      
-      let startPoint;
-      let endPoint;
-      let segmentType = 'direct';
-      
-      // Determine start point
-      if (currentSegment.type === 'toll_entry' && currentSegment.toll_entry_gate) {
-        startPoint = {
-          name: currentSegment.toll_entry_gate.name,
-          lat: currentSegment.toll_entry_gate.lat,
-          lng: currentSegment.toll_entry_gate.lng
-        };
-      } else {
-        startPoint = currentSegment.location;
-      }
-      
-      // Determine end point and segment type
-      if (nextSegment.type === 'toll_entry' && nextSegment.toll_entry_gate) {
-        endPoint = {
-          name: nextSegment.toll_entry_gate.name,
-          lat: nextSegment.toll_entry_gate.lat,
-          lng: nextSegment.toll_entry_gate.lng
-        };
-      } else if (nextSegment.type === 'toll_exit' && nextSegment.toll_exit_gate) {
-        endPoint = {
-          name: nextSegment.toll_exit_gate.name,
-          lat: nextSegment.toll_exit_gate.lat,
-          lng: nextSegment.toll_exit_gate.lng
-        };
-        segmentType = 'toll'; // This is a toll segment
-      } else {
-        endPoint = nextSegment.location;
-      }
-      
-      // Skip if start and end points are too close (same location)
-      const segmentDistance = calculateDistance(startPoint.lat, startPoint.lng, endPoint.lat, endPoint.lng);
-      if (segmentDistance < 0.01) {
-        console.log(`⚠️ Backend: Skipping segment ${i + 1} (distance too small: ${segmentDistance.toFixed(3)}km)`);
-        continue;
-      }
-      
-      // ENHANCED: Get real route with retry logic
-      console.log(`🚗 Backend: Getting REAL route: ${startPoint.name} → ${endPoint.name} (${segmentType})`);
-      
-      let routeData;
-      let attempts = 0;
-      const maxAttempts = 2;
-      
-      while (attempts < maxAttempts) {
-        try {
-          routeData = await getRouteFromOSRM(startPoint, endPoint);
-          break;
-        } catch (error) {
-          attempts++;
-          console.warn(`Backend: Route attempt ${attempts} failed for ${startPoint.name} → ${endPoint.name}:`, error);
-          if (attempts >= maxAttempts) {
-            routeData = getDirectRoute(startPoint, endPoint);
-          }
-        }
-      }
-      
-      if (!routeData || !routeData.coordinates || routeData.coordinates.length === 0) {
-        console.warn(`Backend: No route data for segment ${i + 1}, using direct route`);
-        routeData = getDirectRoute(startPoint, endPoint);
-      }
-      
-      // Add calculated segment to totals
-      totalDistance += routeData.distance;
-      totalDuration += routeData.duration;
-      
-      // Add stop duration if this is a stop
-      if (currentSegment.type === 'stop' && currentSegment.stop_duration) {
-        totalDuration += currentSegment.stop_duration;
-        console.log(`⏱️ Backend: Added ${currentSegment.stop_duration} minutes stop time at ${currentSegment.location.name}`);
-      }
-      
-      // Add coordinates from this segment (avoid duplication)
-      if (i === 0) {
-        allCoordinates.push(...routeData.coordinates);
+    const waypoints = buildWaypoints(sortedSegments);
+    let route = null;
+    let legs = [];
+
+    if (waypoints.length >= 2) {
+      console.log(`🚗 Backend: Getting REAL route through ${waypoints.length} waypoints in one request`);
+      route = await routeThrough(waypoints) || getStaleRoute(waypoints);
+
+      if (route) {
+        // Entries cached before legs were recorded only carry the geometry
+        legs = (route.legs || deriveLegs(route, waypoints)).map((leg) => ({ ...leg, source: route.source }));
       } else {
-        // Skip first point to avoid duplication, but ensure continuity
-        const lastCoord = allCoordinates[allCoordinates.length - 1];
-        const firstNewCoord = routeData.coordinates[0];
-        
-        // Check if there's a gap between segments
-        if (lastCoord && firstNewCoord) {
-          const gap = calculateDistance(lastCoord.lat, lastCoord.lng, firstNewCoord.lat, firstNewCoord.lng);
-          if (gap > 0.1) { // If gap > 100m, add connecting line
-            console.log(`🔗 Backend: Adding connection between segments (gap: ${gap.toFixed(2)}km)`);
-            allCoordinates.push(firstNewCoord);
-          }
+        // Whole-trip request failed: route leg by leg so only the failing legs degrade.
+        // A provider that fails one leg is not asked again for the remaining legs.
+        console.warn('Backend: Multi-waypoint route failed, routing each leg separately');
+        route = { coordinates: [], distance: 0, duration: 0 };
+        const unavailableProviders = new Set();
+
+        for (let i = 0; i < waypoints.length - 1; i++) {
+          const legRoute = await getRoute(waypoints[i], waypoints[i + 1], unavailableProviders);
+          legs.push({ distance: legRoute.distance, duration: legRoute.duration, source: legRoute.source });
+          route.distance += legRoute.distance;
+          route.duration += legRoute.duration;
+
+          // Skip first point of later legs to avoid duplication
+          route.coordinates.push(...(i === 0 ? legRoute.coordinates : legRoute.coordinates.slice(1)));
         }
-        
-        allCoordinates.push(...routeData.coordinates.slice(1)); // Skip first point to avoid duplication
       }
-      
-      console.log(`📍 Backend Segment ${i + 1}: ${startPoint.name} → ${endPoint.name} (${routeData.distance.toFixed(1)}km, ${routeData.duration.toFixed(0)}min, ${segmentType}, ${routeData.coordinates.length} points)`);
     }
-    
+
+    let allCoordinates = route ? route.coordinates : [];
+    let totalDistance = route ? route.distance : 0;
+    let totalDuration = route ? route.duration : 0;
+
+    // Add stop durations (dwell time at every intermediate stop)
+    sortedSegments.slice(0, -1).forEach((segment) => {
+      if (segment.type === 'stop' && segment.stop_duration) {
+        totalDuration += segment.stop_duration;
+        console.log(`⏱️ Backend: Added ${segment.stop_duration} minutes stop time at ${segment.location.name}`);
+      }
+    });
+
     // Ensure we have some coordinates
     if (allCoordinates.length === 0) {
       console.log('🔄 Backend: No coordinates found, creating fallback');
@@ -288,8 +397,8 @@ const calculateRouteFromSegments = async (segments) => {
       const lastSegment = sortedSegments[sortedSegments.length - 1];
       
       if (firstSegment && lastSegment) {
-        const fallbackRoute = await getRouteFromOSRM(firstSegment.location, lastSegment.location);
-        allCoordinates.push(...fallbackRoute.coordinates);
+        const fallbackRoute = await getRoute(firstSegment.location, lastSegment.location);
+        allCoordinates = fallbackRoute.coordinates;
         totalDistance = fallbackRoute.distance;
         totalDuration = fallbackRoute.duration;
       }
@@ -298,6 +407,13 @@ const calculateRouteFromSegments = async (segments) => {
     // Ensure minimum values
     totalDistance = Math.max(0.1, totalDistance);
     totalDuration = Math.max(1, totalDuration);
+
+    // Distance and legs stay as routed; only the stored geometry is thinned
+    if (simplifyToleranceMeters > 0) {
+      const fullPoints = allCoordinates.length;
+      allCoordinates = simplifyPolyline(allCoordinates, simplifyToleranceMeters);
+      console.log(`✂️ Backend: Simplified route ${fullPoints} -> ${allCoordinates.length} points (${simplifyToleranceMeters} m tolerance)`);
+    }
     
     console.log(`🏁 Backend Complete route: ${totalDistance.toFixed(1)}km, ${Math.round(totalDuration)} minutes, ${allCoordinates.length} coordinate points`);
     
@@ -305,6 +421,7 @@ const calculateRouteFromSegments = async (segments) => {
       coordinates: allCoordinates,
       distance: totalDistance,
       duration: Math.round(totalDuration),
+      legs: groupLegsBySegment(waypoints, legs, sortedSegments),
       segments: segments
     };
     
@@ -320,11 +437,12 @@ const calculateRouteFromSegments = async (segments) => {
         console.log('🚨 Backend: Using enhanced emergency fallback route');
         
         try {
-          const emergencyRoute = await getRouteFromOSRM(firstSegment.location, lastSegment.location);
+          const emergencyRoute = await getRoute(firstSegment.location, lastSegment.location);
           return {
             coordinates: emergencyRoute.coordinates,
             distance: emergencyRoute.distance,
             duration: Math.round(emergencyRoute.duration),
+            legs: [],
             segments: segments
           };
         } catch (emergencyError) {
@@ -336,6 +454,7 @@ const calculateRouteFromSegments = async (segments) => {
             coordinates: directRoute.coordinates,
             distance: directRoute.distance,
             duration: Math.round(directRoute.duration),
+            legs: [],
             segments: segments
           };
         }
@@ -348,7 +467,12 @@ const calculateRouteFromSegments = async (segments) => {
 
 module.exports = {
   calculateRouteFromSegments,
-  getRouteFromOSRM,
+  getRoute,
+  findDegradedLegs,
+  setRouteCache,
+  setRouteSimplification,
+  setRoutingProviders,
+  getRoutingProviders,
   calculateDistance,
   isValidCoordinate
 };
\ No newline at end of file
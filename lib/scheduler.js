@@ -0,0 +1,129 @@
+// Automatic departure of PENDING trips at their scheduled_departure time
+
+const DEFAULT_INTERVAL_SECONDS = 30;
+const DEFAULT_GRACE_MINUTES = 30;
+
+/*
+ * What to do with a PENDING trip at `now`:
+ *   'unscheduled'           no (valid) scheduled_departure
+ *   'wait'                  departure time not reached yet
+ *   'start'                 due (or overdue within the grace window), confirmed if required
+ *   'awaiting_confirmation' due but requires_confirmation and not confirmed yet
+ *   'missed'                overdue by more than the grace window (server down, no confirmation)
+ * Only an explicit graceMinutes null starts overdue trips however late they are.
+ */
+const evaluateDeparture = (trip, now, graceMinutes = DEFAULT_GRACE_MINUTES) => {
+  const departure = trip.scheduled_departure ? Date.parse(trip.scheduled_departure) : NaN;
+  if (!Number.isFinite(departure)) return 'unscheduled';
+  if (now < departure) return 'wait';
+
+  const grace = trip.departure_grace_minutes ?? graceMinutes;
+  if (grace !== null && grace !== undefined && now - departure > grace * 60 * 1000) return 'missed';
+  if (trip.requires_confirmation && !trip.departure_confirmed_at) return 'awaiting_confirmation';
+  return 'start';
+};
+
+/*
+ * Polls PENDING trips and acts on evaluateDeparture(). The first poll runs right
+ * away, so departures that passed within the grace window while the server was
+ * down are caught up; older ones are marked missed.
+ *   listPendingTrips() -> trip[]
+ *   listBusyBusIds() -> bus ids with an IN_PROGRESS trip; their trips are not started
+ *   startTrip(trip, { lateMinutes })
+ *   markTrip(trip, 'missed' | 'awaiting_confirmation', { lateMinutes })  (once per trip and state)
+ */
+const createDepartureScheduler = ({
+  listPendingTrips,
+  listBusyBusIds = () => [],
+  startTrip,
+  markTrip,
+  graceMinutes = DEFAULT_GRACE_MINUTES,
+  intervalSeconds = DEFAULT_INTERVAL_SECONDS,
+  now = () => Date.now()
+}) => {
+  const inFlight = new Set();
+  const waitingForBus = new Set(); // trip ids already logged as waiting for their bus
+  let timer = null;
+  let polling = false;
+  let lastPollAt = null;
+
+  const handle = async (trip, currentTime, busyBusIds) => {
+    const decision = evaluateDeparture(trip, currentTime, graceMinutes);
+    if (decision === 'unscheduled' || decision === 'wait') return;
+    if (trip.schedule_status === decision) return; // already marked
+
+    const lateMinutes = (currentTime - Date.parse(trip.scheduled_departure)) / (1000 * 60);
+    if (decision === 'start') {
+      // One bus, one trip: wait for the running trip to finish (or the grace window to pass)
+      if (busyBusIds.has(trip.bus_id)) {
+        if (!waitingForBus.has(trip.id)) {
+          waitingForBus.add(trip.id);
+          console.warn(`⚠️ Trip ${trip.id.slice(0, 8)} is due but bus ${trip.bus_id} is still on another trip - waiting`);
+        }
+        return;
+      }
+      waitingForBus.delete(trip.id);
+      busyBusIds.add(trip.bus_id);
+      await startTrip(trip, { lateMinutes });
+    } else {
+      await markTrip(trip, decision, { lateMinutes });
+    }
+  };
+
+  const poll = async () => {
+    if (polling) return; // slow storage: skip instead of overlapping
+    polling = true;
+    try {
+      const currentTime = now();
+      lastPollAt = currentTime;
+      const trips = await listPendingTrips();
+      const busyBusIds = new Set(await listBusyBusIds());
+
+      for (const trip of trips) {
+        if (inFlight.has(trip.id)) continue;
+        inFlight.add(trip.id);
+        try {
+          await handle(trip, currentTime, busyBusIds);
+        } catch (error) {
+          console.error(`❌ Scheduler failed for trip ${trip.id}:`, error);
+        } finally {
+          inFlight.delete(trip.id);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Scheduler poll failed:', error);
+    } finally {
+      polling = false;
+    }
+  };
+
+  return {
+    poll,
+
+    start() {
+      if (timer) return;
+      timer = setInterval(poll, intervalSeconds * 1000);
+      return poll();
+    },
+
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+
+    status() {
+      return {
+        running: Boolean(timer),
+        intervalSeconds,
+        graceMinutes,
+        lastPollAt: lastPollAt ? new Date(lastPollAt).toISOString() : null
+      };
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_GRACE_MINUTES,
+  evaluateDeparture,
+  createDepartureScheduler
+};
@@ -0,0 +1,144 @@
+// Trip segment list validation: structured errors (route cannot be trusted) and warnings per segment
+const { calculateDistance } = require('./geometry');
+const { isValidCoordinate } = require('./routing');
+
+const SEGMENT_TYPES = ['departure', 'stop', 'toll_entry', 'toll_exit', 'destination'];
+const TOLL_GATE_FIELDS = { toll_entry: 'toll_entry_gate', toll_exit: 'toll_exit_gate' };
+const MIN_WAYPOINT_SPACING_KM = 0.01; // closer waypoints are merged by the router
+const DEFAULT_DWELL_MINUTES = 30; // what the simulator uses without stop_duration
+
+const isCoordinatePair = (point) =>
+  Boolean(point) && typeof point.lat === 'number' && typeof point.lng === 'number' && isValidCoordinate(point.lat, point.lng);
+
+/*
+ * segments -> { valid, errors, warnings }
+ * Each issue: { index (position in the request, null for the whole list), segmentId, order,
+ * field, code, message }. valid is false as soon as there is one error.
+ */
+const validateSegments = (segments) => {
+  const errors = [];
+  const warnings = [];
+  const issue = (list, index, field, code, message) => {
+    const segment = index === null ? null : segments[index];
+    list.push({
+      index,
+      segmentId: segment?.id ?? null,
+      order: segment && Number.isInteger(segment.order) ? segment.order : null,
+      field,
+      code,
+      message
+    });
+  };
+  const error = (...args) => issue(errors, ...args);
+  const warn = (...args) => issue(warnings, ...args);
+
+  if (!Array.isArray(segments)) {
+    return { valid: false, errors: [{ index: null, segmentId: null, order: null, field: 'segments', code: 'not_an_array', message: 'segments must be an array' }], warnings };
+  }
+  if (segments.length < 2) {
+    error(null, 'segments', 'too_few_segments', 'At least a departure and a destination are required');
+  }
+
+  // Per segment: shape, type, order, coordinates, stop and gate fields
+  const orders = new Map();
+  segments.forEach((segment, index) => {
+    if (!segment || typeof segment !== 'object' || Array.isArray(segment)) {
+      error(index, null, 'not_an_object', 'Segment must be an object');
+      return;
+    }
+
+    if (!SEGMENT_TYPES.includes(segment.type)) {
+      error(index, 'type', 'invalid_type', `type must be one of ${SEGMENT_TYPES.join(', ')}`);
+    }
+
+    if (!Number.isInteger(segment.order)) {
+      error(index, 'order', 'invalid_order', 'order must be an integer');
+    } else {
+      orders.set(segment.order, [...(orders.get(segment.order) || []), index]);
+    }
+
+    if (!segment.location) {
+      error(index, 'location', 'missing_location', 'location is required');
+    } else if (!isCoordinatePair(segment.location)) {
+      error(index, 'location', 'invalid_coordinates', 'location needs numeric lat (-90..90) and lng (-180..180), not 0,0');
+    } else if (!segment.location.name) {
+      warn(index, 'location.name', 'missing_name', 'location has no name; stops and exports will show the segment type');
+    }
+
+    const gateField = TOLL_GATE_FIELDS[segment.type];
+    if (gateField) {
+      if (!segment[gateField]) {
+        warn(index, gateField, 'missing_toll_gate', `No ${gateField}: the route passes the location instead and the toll fare cannot be looked up`);
+      } else if (!isCoordinatePair(segment[gateField])) {
+        error(index, gateField, 'invalid_coordinates', `${gateField} needs numeric lat and lng`);
+      }
+    }
+
+    if (segment.type === 'stop') {
+      if (segment.stop_duration === undefined || segment.stop_duration === null) {
+        warn(index, 'stop_duration', 'missing_stop_duration', `No stop_duration: the simulator dwells ${DEFAULT_DWELL_MINUTES} minutes`);
+      } else if (typeof segment.stop_duration !== 'number' || !Number.isFinite(segment.stop_duration) || segment.stop_duration < 0) {
+        error(index, 'stop_duration', 'invalid_stop_duration', 'stop_duration must be a number of minutes >= 0');
+      }
+    }
+  });
+
+  orders.forEach((indexes, order) => {
+    if (indexes.length > 1) {
+      indexes.forEach((index) => error(index, 'order', 'duplicate_order', `order ${order} is used by ${indexes.length} segments`));
+    }
+  });
+
+  // Sequence checks on the segments that could be ordered
+  const ordered = segments
+    .map((segment, index) => ({ segment, index }))
+    .filter(({ segment }) => segment && Number.isInteger(segment.order))
+    .sort((a, b) => a.segment.order - b.segment.order);
+
+  if (ordered.length >= 2) {
+    const first = ordered[0];
+    const last = ordered[ordered.length - 1];
+    if (first.segment.type !== 'departure') {
+      error(first.index, 'type', 'first_not_departure', 'The first segment (lowest order) must be the departure');
+    }
+    if (last.segment.type !== 'destination') {
+      error(last.index, 'type', 'last_not_destination', 'The last segment (highest order) must be the destination');
+    }
+    ordered.slice(1, -1).forEach(({ segment, index }) => {
+      if (segment.type === 'departure' || segment.type === 'destination') {
+        error(index, 'type', 'misplaced_endpoint', `${segment.type} must be the ${segment.type === 'departure' ? 'first' : 'last'} segment`);
+      }
+    });
+  }
+
+  let openEntry = null;
+  ordered.forEach(({ segment, index }) => {
+    if (segment.type === 'toll_entry') {
+      if (openEntry) error(index, 'type', 'toll_entry_twice', `toll_entry while the toll_entry at order ${openEntry.segment.order} has no toll_exit yet`);
+      openEntry = { segment, index };
+    } else if (segment.type === 'toll_exit') {
+      if (!openEntry) error(index, 'type', 'toll_exit_without_entry', 'toll_exit without a preceding toll_entry');
+      openEntry = null;
+    }
+  });
+  if (openEntry) {
+    error(openEntry.index, 'type', 'toll_entry_without_exit', 'toll_entry without a following toll_exit');
+  }
+
+  // Waypoints this close collapse into one when the route is calculated
+  for (let i = 1; i < ordered.length; i++) {
+    const previous = ordered[i - 1].segment.location;
+    const current = ordered[i].segment.location;
+    if (isCoordinatePair(previous) && isCoordinatePair(current) &&
+        calculateDistance(previous.lat, previous.lng, current.lat, current.lng) < MIN_WAYPOINT_SPACING_KM) {
+      warn(ordered[i].index, 'location', 'duplicate_location', `Less than ${MIN_WAYPOINT_SPACING_KM * 1000} m from the previous segment; merged when routing`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+};
+
+module.exports = {
+  SEGMENT_TYPES,
+  validateSegments
+};
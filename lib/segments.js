@@ -0,0 +1,47 @@
+// Trip segment helpers (departure, stop, toll_entry, toll_exit, destination)
+const { projectOnRoute } = require('./geometry');
+
+const sortSegments = (segments) => [...(segments || [])].sort((a, b) => a.order - b.order);
+
+// Point the route actually passes for a segment (toll gates for toll segments)
+const getSegmentWaypoint = (segment) => {
+  if (!segment) return null;
+  if (segment.type === 'toll_entry' && segment.toll_entry_gate) return segment.toll_entry_gate;
+  if (segment.type === 'toll_exit' && segment.toll_exit_gate) return segment.toll_exit_gate;
+  return segment.location || null;
+};
+
+// Project every segment onto the route in order: each one is searched only
+// after the previous one, so routes passing the same place twice resolve correctly.
+// Returns [{ segment, distance (km along route), lat, lng, offset (km off route) }]
+const locateSegmentsOnRoute = (routeIndex, segments) => {
+  const located = [];
+  let fromKm = 0;
+
+  sortSegments(segments).forEach((segment) => {
+    const waypoint = getSegmentWaypoint(segment);
+    const projection = waypoint ? projectOnRoute(routeIndex, waypoint, fromKm) : null;
+
+    if (!projection) {
+      located.push({ segment, distance: fromKm, lat: null, lng: null, offset: null });
+      return;
+    }
+
+    fromKm = projection.distanceAlong;
+    located.push({
+      segment,
+      distance: projection.distanceAlong,
+      lat: projection.lat,
+      lng: projection.lng,
+      offset: projection.offset
+    });
+  });
+
+  return located;
+};
+
+module.exports = {
+  sortSegments,
+  getSegmentWaypoint,
+  locateSegmentsOnRoute
+};
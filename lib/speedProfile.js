@@ -0,0 +1,189 @@
+// Per-leg speed model for the simulator: city / inter-city / toll legs, slowing down around halts
+const LEG_TYPES = ['city', 'intercity', 'toll'];
+
+const DEFAULT_SPEED_RANGES = {
+  city: [25, 40],
+  intercity: [45, 65],
+  toll: [80, 100]
+};
+const DEFAULT_CITY_MAX_LEG_KM = 30; // shorter legs between two segments count as city driving
+const DEFAULT_ACCELERATION_MS2 = 0.6;
+const DEFAULT_DECELERATION_MS2 = 0.8;
+const MIN_MOVING_SPEED_KMH = 5; // pulling away from a halt
+const SPEED_VARIATION_KMH = 5; // per tick, traffic noise
+const HALT_SEGMENT_TYPES = ['departure', 'stop', 'toll_entry', 'toll_exit', 'destination'];
+const TIME_TABLE_STEP_KM = 0.05; // resolution of the precomputed planned travel time
+
+// "20-40" -> [20, 40]
+const parseSpeedRange = (value, name) => {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*-\s*(\d+(?:\.\d+)?)\s*$/.exec(value);
+  const range = match ? [Number(match[1]), Number(match[2])] : null;
+  if (!range || range[0] <= 0 || range[0] > range[1]) {
+    throw new Error(`${name} must be a "<min>-<max>" km/h range, got "${value}"`);
+  }
+  return range;
+};
+
+const positiveNumber = (value, name, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) throw new Error(`${name} must be a positive number`);
+  return number;
+};
+
+/*
+ * Env: SPEED_RANGE_CITY, SPEED_RANGE_INTERCITY, SPEED_RANGE_TOLL ("min-max" km/h),
+ * SPEED_CITY_MAX_LEG_KM, SPEED_ACCELERATION_MS2, SPEED_DECELERATION_MS2
+ */
+const loadSpeedProfileConfig = (env = process.env) => {
+  const ranges = {};
+  LEG_TYPES.forEach((type) => {
+    const name = `SPEED_RANGE_${type.toUpperCase()}`;
+    ranges[type] = env[name] ? parseSpeedRange(env[name], name) : DEFAULT_SPEED_RANGES[type];
+  });
+
+  return {
+    ranges,
+    cityMaxLegKm: positiveNumber(env.SPEED_CITY_MAX_LEG_KM, 'SPEED_CITY_MAX_LEG_KM', DEFAULT_CITY_MAX_LEG_KM),
+    accelerationMs2: positiveNumber(env.SPEED_ACCELERATION_MS2, 'SPEED_ACCELERATION_MS2', DEFAULT_ACCELERATION_MS2),
+    decelerationMs2: positiveNumber(env.SPEED_DECELERATION_MS2, 'SPEED_DECELERATION_MS2', DEFAULT_DECELERATION_MS2)
+  };
+};
+
+/*
+ * Split the route at every located segment into legs with a cruise speed each.
+ * Legs between a toll_entry and the next toll_exit are toll legs; the others are
+ * city or inter-city by length, unless the segment starting the leg sets leg_type.
+ * located: locateSegmentsOnRoute() output. Returns { legs: [{ fromKm, toKm, type,
+ * cruiseSpeed, range, startMinutes }], halts: [km], minutesAt: Float64Array } where
+ * minutesAt[i] is the planned driving time from the start to i * 50 m.
+ */
+const buildSpeedProfile = (located, totalDistance, config, random = Math.random) => {
+  const boundaries = located
+    .filter((entry) => Number.isFinite(entry.distance))
+    .map((entry) => ({ km: Math.min(Math.max(entry.distance, 0), totalDistance), segment: entry.segment }));
+  if (boundaries.length === 0 || boundaries[0].km > 0) boundaries.unshift({ km: 0, segment: null });
+  if (boundaries[boundaries.length - 1].km < totalDistance) boundaries.push({ km: totalDistance, segment: null });
+
+  const legs = [];
+  let onTollRoad = false;
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const { km: fromKm, segment } = boundaries[i];
+    const toKm = boundaries[i + 1].km;
+    if (segment?.type === 'toll_entry') onTollRoad = true;
+    if (segment?.type === 'toll_exit') onTollRoad = false;
+    if (toKm <= fromKm) continue;
+
+    let type = toKm - fromKm < config.cityMaxLegKm ? 'city' : 'intercity';
+    if (onTollRoad) type = 'toll';
+    if (LEG_TYPES.includes(segment?.leg_type)) type = segment.leg_type;
+
+    const [min, max] = config.ranges[type];
+    legs.push({ fromKm, toKm, type, range: [min, max], cruiseSpeed: Math.round(min + random() * (max - min)) });
+  }
+
+  // Where the bus stands still or slows right down: departure, stops, toll gates, destination
+  const halts = boundaries
+    .filter((boundary, i) => i === 0 || i === boundaries.length - 1 || HALT_SEGMENT_TYPES.includes(boundary.segment?.type))
+    .map((boundary) => boundary.km);
+
+  const profile = { legs, halts: Array.from(new Set(halts)).sort((a, b) => a - b) };
+  profile.minutesAt = buildTimeTable(profile, config, totalDistance);
+  legs.forEach((leg) => {
+    leg.startMinutes = minutesAtKm(profile, leg.fromKm);
+  });
+  return profile;
+};
+
+const legAt = (profile, km) =>
+  profile.legs.find((leg) => km < leg.toKm) || profile.legs[profile.legs.length - 1] || null;
+
+// Last halt at or before km and first halt after it (halts are sorted)
+const surroundingHalts = (halts, km) => {
+  let low = 0;
+  let high = halts.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (halts[middle] <= km) low = middle + 1;
+    else high = middle;
+  }
+  return { previous: low > 0 ? halts[low - 1] : undefined, next: halts[low] };
+};
+
+// Highest speed (km/h) that still allows reaching v from 0 (or 0 from v) within distanceKm
+const rampSpeed = (distanceKm, accelerationMs2) => Math.sqrt(2 * accelerationMs2 * Math.max(0, distanceKm) * 1000) * 3.6;
+
+/*
+ * Speed at km along the route: the leg's cruise speed (plus variationKmh, kept inside
+ * the leg range), capped by acceleration after the last halt and braking before the next.
+ */
+const speedAt = (profile, config, km, variationKmh = 0) => {
+  const leg = legAt(profile, km);
+  if (!leg) return { speed: 0, leg: null };
+
+  const cruise = Math.min(leg.range[1], Math.max(leg.range[0], leg.cruiseSpeed + variationKmh));
+  const halts = surroundingHalts(profile.halts, km);
+  const previousHalt = halts.previous ?? 0;
+  const nextHalt = halts.next ?? leg.toKm;
+
+  const speed = Math.min(
+    cruise,
+    Math.max(MIN_MOVING_SPEED_KMH, rampSpeed(km - previousHalt, config.accelerationMs2)),
+    Math.max(MIN_MOVING_SPEED_KMH, rampSpeed(nextHalt - km, config.decelerationMs2))
+  );
+  return { speed, leg };
+};
+
+/*
+ * One simulator tick from km: average of the speed here and where that speed would
+ * take the bus, so braking for a halt shows up before it is reached.
+ * Returns { speed, distanceKm, leg }.
+ */
+const advanceAlongProfile = (profile, config, km, seconds, random = Math.random) => {
+  const variation = (random() - 0.5) * 2 * SPEED_VARIATION_KMH;
+  const here = speedAt(profile, config, km, variation);
+  const ahead = speedAt(profile, config, km + here.speed * (seconds / 3600), variation);
+  const speed = (here.speed + ahead.speed) / 2;
+  return { speed, distanceKm: speed * (seconds / 3600), leg: here.leg };
+};
+
+// Cumulative planned driving minutes (no dwell) in 50 m steps, integrated once per profile
+const buildTimeTable = (profile, config, totalDistance) => {
+  const steps = Math.ceil(Math.max(0, totalDistance) / TIME_TABLE_STEP_KM);
+  const minutesAt = new Float64Array(steps + 1);
+  for (let i = 0; i < steps; i++) {
+    const km = i * TIME_TABLE_STEP_KM;
+    const step = Math.min(TIME_TABLE_STEP_KM, totalDistance - km);
+    minutesAt[i + 1] = minutesAt[i] + (step / speedAt(profile, config, km + step / 2).speed) * 60;
+  }
+  return minutesAt;
+};
+
+// Planned minutes from the start to km, interpolated between table steps
+const minutesAtKm = (profile, km) => {
+  const table = profile.minutesAt;
+  const position = Math.min(Math.max(km, 0) / TIME_TABLE_STEP_KM, table.length - 1);
+  const index = Math.floor(position);
+  if (index >= table.length - 1) return table[table.length - 1];
+  return table[index] + (table[index + 1] - table[index]) * (position - index);
+};
+
+// Planned driving minutes between two points of the route (no dwell), a table lookup per call
+const travelMinutes = (profile, config, fromKm = 0, toKm = profile.legs[profile.legs.length - 1]?.toKm || 0) =>
+  Math.max(0, minutesAtKm(profile, toKm) - minutesAtKm(profile, fromKm));
+
+// Average planned speed over a stretch, the single number used for ETAs and summaries
+const averageSpeed = (profile, config, fromKm, toKm) => {
+  const minutes = travelMinutes(profile, config, fromKm, toKm);
+  return minutes > 0 ? (toKm - fromKm) / (minutes / 60) : 0;
+};
+
+module.exports = {
+  LEG_TYPES,
+  loadSpeedProfileConfig,
+  buildSpeedProfile,
+  speedAt,
+  advanceAlongProfile,
+  travelMinutes,
+  averageSpeed
+};
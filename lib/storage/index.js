@@ -0,0 +1,68 @@
+// Storage selection: Supabase (default when configured) or in-memory
+const { createSupabaseStorage } = require('./supabase');
+const { createMemoryStorage } = require('./memory');
+
+/*
+ * Storage interface (all methods async unless noted):
+ *   ping()
+ *   getTrip(tripId) -> trip | null
+ *   listTripsByStatus(status) -> trip[]
+ *   listTripsByTimetable(timetableId) -> trip[]
+ *   insertTrip(trip)
+ *   updateTrip(tripId, updates)
+ *   getBus(busId) -> bus | null
+ *   updateBus(busId, updates)
+ *   getBusLocation(busId) -> location | null
+ *   setBusLocation(location)
+ *   clearBusLocation(busId)
+ *   appendTrackPoint(point)
+ *   listTrackPoints(tripId) -> point[] (oldest first)
+ *   appendTripEvent(event)
+ *   listTripEvents(tripId) -> event[] (oldest first)
+ *   listWebhooks() -> webhook[]
+ *   insertWebhook(webhook)
+ *   deleteWebhook(webhookId) -> boolean (false when it did not exist)
+ *   appendDeadLetter(entry)
+ *   getDeadLetter(id) -> entry | null
+ *   listDeadLetters() -> entry[] (oldest first)
+ *   deleteDeadLetter(id)
+ *   listRouteTemplates() / getRouteTemplate(id) / insertRouteTemplate(template) / deleteRouteTemplate(id) -> boolean
+ *   listTimetables() / getTimetable(id) / insertTimetable(timetable) / updateTimetable(id, updates) / deleteTimetable(id) -> boolean
+ *   appendAuditRecord(record)
+ *   listAuditRecords({ tripId, actor, limit }) -> record[] (newest first)
+ *   subscribeTrips(handler) -> unsubscribe (sync), handler({ eventType, new, old })
+ *   flush()
+ */
+const createStorage = (env = process.env) => {
+  const hasSupabaseConfig = Boolean(env.NEXT_PUBLIC_SUPABASE_URL && env.NEXT_PUBLIC_SUPABASE_ANON_KEY);
+  const driver = (env.STORAGE_DRIVER || (hasSupabaseConfig ? 'supabase' : 'memory')).toLowerCase();
+
+  if (driver === 'supabase') {
+    if (!env.NEXT_PUBLIC_SUPABASE_URL) {
+      throw new Error('NEXT_PUBLIC_SUPABASE_URL is required in .env file');
+    }
+    if (!env.NEXT_PUBLIC_SUPABASE_ANON_KEY) {
+      throw new Error('NEXT_PUBLIC_SUPABASE_ANON_KEY is required in .env file');
+    }
+    return createSupabaseStorage({
+      url: env.NEXT_PUBLIC_SUPABASE_URL,
+      key: env.NEXT_PUBLIC_SUPABASE_ANON_KEY
+    });
+  }
+
+  if (driver === 'memory') {
+    const historyLimit = env.MEMORY_HISTORY_LIMIT === undefined ? undefined : Number(env.MEMORY_HISTORY_LIMIT);
+    if (historyLimit !== undefined && !(Number.isInteger(historyLimit) && historyLimit >= 0)) {
+      throw new Error('MEMORY_HISTORY_LIMIT must be a whole number of rows (0 = unlimited)');
+    }
+    return createMemoryStorage({ file: env.MEMORY_STORAGE_FILE, historyLimit });
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "supabase" or "memory")`);
+};
+
+module.exports = {
+  createStorage,
+  createSupabaseStorage,
+  createMemoryStorage
+};
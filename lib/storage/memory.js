@@ -0,0 +1,355 @@
+// In-memory storage implementation with optional file persistence (snapshot + append-only journal)
+// Dipakai untuk demo offline dan automated tests tanpa Supabase project
+const fs = require('fs');
+const path = require('path');
+
+// Table name -> primary key column
+const TABLE_KEYS = {
+  trips: 'id',
+  buses: 'id',
+  bus_locations: 'bus_id',
+  bus_location_history: 'id',
+  trip_events: 'id',
+  webhooks: 'id',
+  webhook_dead_letters: 'id',
+  audit_log: 'id',
+  route_templates: 'id',
+  timetables: 'id'
+};
+
+// Append-only tables, trimmed oldest-first to MEMORY_HISTORY_LIMIT rows each
+const HISTORY_TABLES = ['bus_location_history', 'trip_events', 'audit_log'];
+const DEFAULT_HISTORY_LIMIT = 50000;
+// Journal entries before the snapshot is rewritten and the journal truncated
+const COMPACT_AFTER_ENTRIES = 20000;
+
+const clone = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+/*
+ * file: JSON snapshot ({ table: rows[] }, also the seed format). Changes are appended
+ * to `${file}.journal` as one JSON line each ({ t, k, r } row, { t, k, u } merge,
+ * { t, k, d } delete), so a write costs one line instead of the whole state. The
+ * journal is folded into the snapshot on load, every COMPACT_AFTER_ENTRIES lines
+ * and on flush().
+ */
+const createMemoryStorage = ({ file, historyLimit = DEFAULT_HISTORY_LIMIT } = {}) => {
+  const tables = {};
+  Object.keys(TABLE_KEYS).forEach((table) => {
+    tables[table] = new Map();
+  });
+
+  const listeners = new Set();
+  const journalFile = file ? `${file}.journal` : null;
+  let writeQueue = Promise.resolve();
+  let pendingLines = [];
+  let journalEntries = 0;
+  let nextHistoryId = 1;
+  let nextEventId = 1;
+  let nextAuditId = 1;
+
+  // Drop the oldest rows of a history table (Map keeps insertion order)
+  const trimHistory = (table) => {
+    const rows = tables[table];
+    if (!historyLimit || rows.size <= historyLimit) return;
+    const excess = rows.size - historyLimit;
+    let removed = 0;
+    for (const id of rows.keys()) {
+      if (removed++ >= excess) break;
+      rows.delete(id);
+    }
+  };
+
+  const applyEntry = ({ t, k, r, u, d }) => {
+    if (!tables[t]) return;
+    if (d) tables[t].delete(k);
+    else if (r) tables[t].set(k, r);
+    else if (u && tables[t].has(k)) tables[t].set(k, { ...tables[t].get(k), ...u });
+  };
+
+  // Load seed / previous state from file, then replay the journal written since
+  if (file && fs.existsSync(file)) {
+    const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+    Object.keys(TABLE_KEYS).forEach((table) => {
+      (snapshot[table] || []).forEach((row) => tables[table].set(row[TABLE_KEYS[table]], row));
+    });
+    console.log(`📂 Memory storage loaded from ${file}`);
+  }
+  if (journalFile && fs.existsSync(journalFile)) {
+    const lines = fs.readFileSync(journalFile, 'utf8').split('\n').filter(Boolean);
+    lines.forEach((line, i) => {
+      try {
+        applyEntry(JSON.parse(line));
+      } catch (error) {
+        // Torn last line after a crash
+        console.error(`Memory storage: skipping unreadable journal line ${i + 1}`);
+      }
+    });
+    journalEntries = lines.length;
+    if (lines.length > 0) console.log(`📂 Memory storage replayed ${lines.length} journal entries`);
+  }
+  HISTORY_TABLES.forEach(trimHistory);
+  tables.bus_location_history.forEach((row, id) => {
+    nextHistoryId = Math.max(nextHistoryId, id + 1);
+  });
+  tables.trip_events.forEach((row, id) => {
+    nextEventId = Math.max(nextEventId, id + 1);
+  });
+  tables.audit_log.forEach((row, id) => {
+    nextAuditId = Math.max(nextAuditId, id + 1);
+  });
+
+  // Rewrite the snapshot from memory and start an empty journal
+  const compact = () => {
+    const snapshot = {};
+    Object.keys(tables).forEach((table) => {
+      snapshot[table] = Array.from(tables[table].values());
+    });
+    const temporaryFile = `${file}.tmp`;
+    return fs.promises.mkdir(path.dirname(path.resolve(file)), { recursive: true })
+      .then(() => fs.promises.writeFile(temporaryFile, JSON.stringify(snapshot)))
+      .then(() => fs.promises.rename(temporaryFile, file))
+      .then(() => fs.promises.writeFile(journalFile, ''))
+      .then(() => {
+        journalEntries = 0;
+      });
+  };
+
+  // Serialize writes so appends and compactions never interleave
+  const enqueue = (task, label) => {
+    writeQueue = writeQueue
+      .then(task)
+      .catch((error) => console.error(`Memory storage: failed to ${label}:`, error));
+    return writeQueue;
+  };
+
+  // Lines queued in the same tick go out in one append
+  const persist = (entry) => {
+    if (!file) return writeQueue;
+    pendingLines.push(JSON.stringify(entry));
+    if (pendingLines.length > 1) return writeQueue;
+
+    return enqueue(async () => {
+      const lines = pendingLines;
+      pendingLines = [];
+      await fs.promises.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+      await fs.promises.appendFile(journalFile, lines.join('\n') + '\n');
+      journalEntries += lines.length;
+      if (journalEntries >= COMPACT_AFTER_ENTRIES) await compact();
+    }, 'append to journal');
+  };
+
+  // Fold what was replayed into the snapshot right away
+  if (journalEntries > 0) enqueue(compact, 'write snapshot');
+
+  // Mimic Supabase realtime: notify asynchronously with { eventType, new, old }
+  const notify = (eventType, newRow, oldRow) => {
+    if (listeners.size === 0) return;
+    const payload = { eventType, new: clone(newRow) || {}, old: clone(oldRow) || {} };
+    setImmediate(() => {
+      listeners.forEach((handler) => {
+        Promise.resolve(handler(payload)).catch((error) => console.error('Memory storage listener error:', error));
+      });
+    });
+  };
+
+  const updateRow = (table, id, updates) => {
+    const existing = tables[table].get(id);
+    if (!existing) return null;
+    const updated = { ...existing, ...clone(updates) };
+    tables[table].set(id, updated);
+    return { existing, updated };
+  };
+
+  // Insert / replace / delete a row and journal it
+  const setRow = (table, id, row) => {
+    tables[table].set(id, row);
+    if (HISTORY_TABLES.includes(table)) trimHistory(table);
+    return persist({ t: table, k: id, r: row });
+  };
+
+  const mergeRow = async (table, id, updates, onUpdated = () => {}) => {
+    const result = updateRow(table, id, updates);
+    if (!result) return;
+    onUpdated(result);
+    await persist({ t: table, k: id, u: clone(updates) });
+  };
+
+  const deleteRow = async (table, id) => {
+    const deleted = tables[table].delete(id);
+    if (deleted) await persist({ t: table, k: id, d: 1 });
+    return deleted;
+  };
+
+  return {
+    name: 'memory',
+
+    async ping() {},
+
+    async getTrip(tripId) {
+      return clone(tables.trips.get(tripId)) || null;
+    },
+
+    async listTripsByStatus(status) {
+      return clone(Array.from(tables.trips.values()).filter((trip) => trip.status === status));
+    },
+
+    async listTripsByTimetable(timetableId) {
+      return clone(Array.from(tables.trips.values()).filter((trip) => trip.timetable_id === timetableId));
+    },
+
+    // Trips come from the front end or the timetable generator; also used to seed demos/tests
+    async insertTrip(trip) {
+      const row = clone(trip);
+      const written = setRow('trips', row.id, row);
+      notify('INSERT', row, null);
+      await written;
+      return clone(row);
+    },
+
+    async updateTrip(tripId, updates) {
+      await mergeRow('trips', tripId, updates, ({ updated, existing }) => notify('UPDATE', updated, existing));
+    },
+
+    async getBus(busId) {
+      return clone(tables.buses.get(busId)) || null;
+    },
+
+    async updateBus(busId, updates) {
+      await mergeRow('buses', busId, updates);
+    },
+
+    async getBusLocation(busId) {
+      return clone(tables.bus_locations.get(busId)) || null;
+    },
+
+    async setBusLocation(location) {
+      await setRow('bus_locations', location.bus_id, clone(location));
+    },
+
+    async clearBusLocation(busId) {
+      await deleteRow('bus_locations', busId);
+    },
+
+    async appendTrackPoint(point) {
+      const id = nextHistoryId++;
+      await setRow('bus_location_history', id, { id, ...clone(point) });
+    },
+
+    async listTrackPoints(tripId) {
+      return clone(
+        Array.from(tables.bus_location_history.values())
+          .filter((point) => point.trip_id === tripId)
+          .sort((a, b) => a.timestamp - b.timestamp)
+      );
+    },
+
+    async appendTripEvent(event) {
+      const id = nextEventId++;
+      await setRow('trip_events', id, { id, ...clone(event) });
+    },
+
+    async listTripEvents(tripId) {
+      return clone(
+        Array.from(tables.trip_events.values())
+          .filter((event) => event.trip_id === tripId)
+          .sort((a, b) => a.timestamp - b.timestamp || a.id - b.id)
+      );
+    },
+
+    async listWebhooks() {
+      return clone(Array.from(tables.webhooks.values()));
+    },
+
+    async insertWebhook(webhook) {
+      await setRow('webhooks', webhook.id, clone(webhook));
+    },
+
+    async deleteWebhook(webhookId) {
+      return deleteRow('webhooks', webhookId);
+    },
+
+    async appendDeadLetter(entry) {
+      await setRow('webhook_dead_letters', entry.id, clone(entry));
+    },
+
+    async getDeadLetter(id) {
+      return clone(tables.webhook_dead_letters.get(id)) || null;
+    },
+
+    async listDeadLetters() {
+      return clone(
+        Array.from(tables.webhook_dead_letters.values()).sort((a, b) => a.failed_at.localeCompare(b.failed_at))
+      );
+    },
+
+    async deleteDeadLetter(id) {
+      await deleteRow('webhook_dead_letters', id);
+    },
+
+    async listRouteTemplates() {
+      return clone(Array.from(tables.route_templates.values()).sort((a, b) => a.name.localeCompare(b.name)));
+    },
+
+    async getRouteTemplate(id) {
+      return clone(tables.route_templates.get(id)) || null;
+    },
+
+    async insertRouteTemplate(template) {
+      await setRow('route_templates', template.id, clone(template));
+    },
+
+    async deleteRouteTemplate(id) {
+      return deleteRow('route_templates', id);
+    },
+
+    async listTimetables() {
+      return clone(Array.from(tables.timetables.values()).sort((a, b) => a.name.localeCompare(b.name)));
+    },
+
+    async getTimetable(id) {
+      return clone(tables.timetables.get(id)) || null;
+    },
+
+    async insertTimetable(timetable) {
+      await setRow('timetables', timetable.id, clone(timetable));
+    },
+
+    async updateTimetable(id, updates) {
+      await mergeRow('timetables', id, updates);
+    },
+
+    async deleteTimetable(id) {
+      return deleteRow('timetables', id);
+    },
+
+    async appendAuditRecord(record) {
+      const id = nextAuditId++;
+      await setRow('audit_log', id, { id, ...clone(record) });
+    },
+
+    async listAuditRecords({ tripId = null, actor = null, limit = 100 } = {}) {
+      return clone(
+        Array.from(tables.audit_log.values())
+          .filter((record) => (!tripId || record.trip_id === tripId) && (!actor || record.actor === actor))
+          .sort((a, b) => b.timestamp.localeCompare(a.timestamp) || b.id - a.id)
+          .slice(0, limit)
+      );
+    },
+
+    subscribeTrips(handler) {
+      listeners.add(handler);
+      console.log('📡 Backend trips subscription: SUBSCRIBED (memory)');
+      return () => listeners.delete(handler);
+    },
+
+    // Wait for pending file writes and fold the journal into the snapshot (graceful shutdown)
+    flush() {
+      if (!file) return writeQueue;
+      return enqueue(compact, 'write snapshot');
+    }
+  };
+};
+
+module.exports = {
+  createMemoryStorage
+};
@@ -0,0 +1,191 @@
+// Storage implementation backed by Supabase (trips, buses, bus_locations)
+// Tables and columns added on top of the original schema: supabase/migrations/*.sql, applied in order
+const { createClient } = require('@supabase/supabase-js');
+
+// Throw Supabase errors instead of returning { data, error }
+const unwrap = ({ data, error }) => {
+  if (error) throw error;
+  return data;
+};
+
+const createSupabaseStorage = ({ url, key }) => {
+  const supabase = createClient(url, key);
+
+  return {
+    name: 'supabase',
+
+    // Connection test used at startup
+    async ping() {
+      unwrap(await supabase.from('buses').select('count').limit(1));
+    },
+
+    async getTrip(tripId) {
+      return unwrap(await supabase.from('trips').select('*').eq('id', tripId).maybeSingle());
+    },
+
+    async listTripsByStatus(status) {
+      return unwrap(await supabase.from('trips').select('*').eq('status', status)) || [];
+    },
+
+    async listTripsByTimetable(timetableId) {
+      return unwrap(await supabase.from('trips').select('*').eq('timetable_id', timetableId)) || [];
+    },
+
+    async insertTrip(trip) {
+      unwrap(await supabase.from('trips').insert(trip));
+    },
+
+    async updateTrip(tripId, updates) {
+      unwrap(await supabase.from('trips').update(updates).eq('id', tripId));
+    },
+
+    async getBus(busId) {
+      return unwrap(await supabase.from('buses').select('*').eq('id', busId).maybeSingle());
+    },
+
+    async updateBus(busId, updates) {
+      unwrap(await supabase.from('buses').update(updates).eq('id', busId));
+    },
+
+    async getBusLocation(busId) {
+      return unwrap(await supabase.from('bus_locations').select('*').eq('bus_id', busId).maybeSingle());
+    },
+
+    // Latest position per bus, single atomic upsert (unique bus_id: 20261019000700_bus_location_history.sql)
+    async setBusLocation(location) {
+      unwrap(await supabase.from('bus_locations').upsert(location, { onConflict: 'bus_id' }));
+    },
+
+    async clearBusLocation(busId) {
+      unwrap(await supabase.from('bus_locations').delete().eq('bus_id', busId));
+    },
+
+    // Append-only breadcrumb track per trip
+    async appendTrackPoint(point) {
+      unwrap(await supabase.from('bus_location_history').insert(point));
+    },
+
+    async listTrackPoints(tripId) {
+      return unwrap(
+        await supabase
+          .from('bus_location_history')
+          .select('*')
+          .eq('trip_id', tripId)
+          .order('timestamp', { ascending: true })
+      ) || [];
+    },
+
+    async appendTripEvent(event) {
+      unwrap(await supabase.from('trip_events').insert(event));
+    },
+
+    async listTripEvents(tripId) {
+      return unwrap(
+        await supabase
+          .from('trip_events')
+          .select('*')
+          .eq('trip_id', tripId)
+          .order('timestamp', { ascending: true })
+          .order('id', { ascending: true })
+      ) || [];
+    },
+
+    async listWebhooks() {
+      return unwrap(await supabase.from('webhooks').select('*').order('created_at', { ascending: true })) || [];
+    },
+
+    async insertWebhook(webhook) {
+      unwrap(await supabase.from('webhooks').insert(webhook));
+    },
+
+    async deleteWebhook(webhookId) {
+      const deleted = unwrap(await supabase.from('webhooks').delete().eq('id', webhookId).select('id'));
+      return Boolean(deleted && deleted.length > 0);
+    },
+
+    async appendDeadLetter(entry) {
+      unwrap(await supabase.from('webhook_dead_letters').insert(entry));
+    },
+
+    async getDeadLetter(id) {
+      return unwrap(await supabase.from('webhook_dead_letters').select('*').eq('id', id).maybeSingle());
+    },
+
+    async listDeadLetters() {
+      return unwrap(
+        await supabase.from('webhook_dead_letters').select('*').order('failed_at', { ascending: true })
+      ) || [];
+    },
+
+    async deleteDeadLetter(id) {
+      unwrap(await supabase.from('webhook_dead_letters').delete().eq('id', id));
+    },
+
+    async listRouteTemplates() {
+      return unwrap(await supabase.from('route_templates').select('*').order('name', { ascending: true })) || [];
+    },
+
+    async getRouteTemplate(id) {
+      return unwrap(await supabase.from('route_templates').select('*').eq('id', id).maybeSingle());
+    },
+
+    async insertRouteTemplate(template) {
+      unwrap(await supabase.from('route_templates').insert(template));
+    },
+
+    async deleteRouteTemplate(id) {
+      const deleted = unwrap(await supabase.from('route_templates').delete().eq('id', id).select('id'));
+      return Boolean(deleted && deleted.length > 0);
+    },
+
+    async listTimetables() {
+      return unwrap(await supabase.from('timetables').select('*').order('name', { ascending: true })) || [];
+    },
+
+    async getTimetable(id) {
+      return unwrap(await supabase.from('timetables').select('*').eq('id', id).maybeSingle());
+    },
+
+    async insertTimetable(timetable) {
+      unwrap(await supabase.from('timetables').insert(timetable));
+    },
+
+    async updateTimetable(id, updates) {
+      unwrap(await supabase.from('timetables').update(updates).eq('id', id));
+    },
+
+    async deleteTimetable(id) {
+      const deleted = unwrap(await supabase.from('timetables').delete().eq('id', id).select('id'));
+      return Boolean(deleted && deleted.length > 0);
+    },
+
+    async appendAuditRecord(record) {
+      unwrap(await supabase.from('audit_log').insert(record));
+    },
+
+    async listAuditRecords({ tripId = null, actor = null, limit = 100 } = {}) {
+      let query = supabase.from('audit_log').select('*');
+      if (tripId) query = query.eq('trip_id', tripId);
+      if (actor) query = query.eq('actor', actor);
+      return unwrap(await query.order('timestamp', { ascending: false }).limit(limit)) || [];
+    },
+
+    // Realtime trip changes, payload shape: { eventType, new, old }
+    subscribeTrips(handler) {
+      const channel = supabase
+        .channel('backend_trips')
+        .on('postgres_changes', { event: '*', schema: 'public', table: 'trips' }, handler)
+        .subscribe((status) => {
+          console.log('📡 Backend trips subscription:', status);
+        });
+
+      return () => supabase.removeChannel(channel);
+    },
+
+    async flush() {}
+  };
+};
+
+module.exports = {
+  createSupabaseStorage
+};
@@ -0,0 +1,91 @@
+// Server-Sent Events stream of tracking ticks and trip lifecycle events
+
+const KEEP_ALIVE_MS = 25000;
+
+// "a,b" or ["a", "b"] -> Set, empty when no filter given
+const parseFilter = (value) => {
+  const values = Array.isArray(value) ? value : [value];
+  return new Set(
+    values
+      .filter(Boolean)
+      .flatMap((v) => String(v).split(','))
+      .map((v) => v.trim())
+      .filter(Boolean)
+  );
+};
+
+const matchesFilter = (filter, value) => filter.size === 0 || filter.has(value);
+
+// Switch an Express response into an event stream
+const openEventStream = (res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: 5000\n\n`);
+};
+
+const formatEvent = (id, type, data) => `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+
+const createEventStream = () => {
+  const clients = new Set();
+  let nextEventId = 1;
+
+  // Express handler: GET /api/stream?tripId=..&busId=..&events=..
+  const handler = (req, res) => {
+    const client = {
+      res,
+      tripIds: parseFilter(req.query.tripId),
+      busIds: parseFilter(req.query.busId),
+      events: parseFilter(req.query.events)
+    };
+
+    openEventStream(res);
+
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+    clients.add(client);
+
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      clients.delete(client);
+    });
+  };
+
+  // Send an event to every client whose filters match data.tripId / data.busId
+  const publish = (type, data) => {
+    if (clients.size === 0) return;
+
+    const id = nextEventId++;
+    const message = formatEvent(id, type, data);
+
+    clients.forEach((client) => {
+      if (!matchesFilter(client.tripIds, data.tripId)) return;
+      if (!matchesFilter(client.busIds, data.busId)) return;
+      if (!matchesFilter(client.events, type)) return;
+      client.res.write(message);
+    });
+  };
+
+  const close = () => {
+    clients.forEach((client) => client.res.end());
+    clients.clear();
+  };
+
+  return {
+    handler,
+    publish,
+    close,
+    get clientCount() {
+      return clients.size;
+    }
+  };
+};
+
+module.exports = {
+  createEventStream,
+  openEventStream,
+  formatEvent
+};
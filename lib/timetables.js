@@ -0,0 +1,237 @@
+// Recurring timetables: route templates x days of week x departure times -> PENDING trips
+const fs = require('fs');
+const { sortSegments } = require('./segments');
+
+const DEFAULT_TIME_ZONE = 'Asia/Jakarta';
+const DAY_NAMES = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// [1..7] (ISO, 1 = Monday) or ["mon", "Tuesday", ...] -> sorted ISO numbers, null when invalid
+const normalizeDaysOfWeek = (days) => {
+  if (!Array.isArray(days) || days.length === 0) return null;
+  const normalized = days.map((day) => {
+    if (Number.isInteger(day) && day >= 1 && day <= 7) return day;
+    const index = DAY_NAMES.indexOf(String(day).trim().toLowerCase().slice(0, 3));
+    return index >= 0 ? index + 1 : null;
+  });
+  if (normalized.includes(null)) return null;
+  return Array.from(new Set(normalized)).sort((a, b) => a - b);
+};
+
+// "06:30" -> { hours, minutes }, null when invalid
+const parseTimeOfDay = (value) => {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value).trim());
+  return match ? { hours: Number(match[1]), minutes: Number(match[2]) } : null;
+};
+
+const isDateString = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value)) && Number.isFinite(Date.parse(value));
+
+// Calendar date (YYYY-MM-DD) of an instant in a time zone
+const localDateString = (ms, timeZone = DEFAULT_TIME_ZONE) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date(ms));
+
+// Offset (ms) of a time zone from UTC at an instant
+const zoneOffsetMs = (ms, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(new Date(ms)).forEach((part) => {
+    parts[part.type] = Number(part.value);
+  });
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(ms / 1000) * 1000;
+};
+
+// Local wall-clock date + time in a time zone -> epoch ms
+const zonedTimeToUtc = (dateString, { hours, minutes }, timeZone = DEFAULT_TIME_ZONE) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+  const firstGuess = wallClock - zoneOffsetMs(wallClock, timeZone);
+  // Re-check the offset at the result (DST transitions)
+  return wallClock - zoneOffsetMs(firstGuess, timeZone);
+};
+
+// ISO day of week (1 = Monday) of a YYYY-MM-DD date
+const isoDayOfWeek = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return ((new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7) + 1;
+};
+
+const addDays = (dateString, days) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS).toISOString().slice(0, 10);
+};
+
+// HOLIDAYS_FILE: ["2026-12-25", ...] or [{ "date": "2026-12-25", "name": "Natal" }, ...]
+const loadHolidays = (file) => {
+  if (!file) return new Map();
+  const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const holidays = new Map();
+  entries.forEach((entry) => {
+    const date = typeof entry === 'string' ? entry : entry.date;
+    if (!isDateString(date)) throw new Error(`Invalid holiday date: ${JSON.stringify(entry)}`);
+    holidays.set(date, typeof entry === 'string' ? null : entry.name || null);
+  });
+  return holidays;
+};
+
+/*
+ * Departures of one timetable for the `days` calendar days starting today (in timeZone).
+ * Returns { runs: [{ runKey, serviceDate, time, scheduledDeparture }], skipped: [{ serviceDate, reason }] }
+ * Past departures are left out; skip reasons: inactive_period, holiday, exception.
+ */
+const planTimetableRuns = (timetable, { now = Date.now(), days = 7, holidays = new Map(), timeZone = DEFAULT_TIME_ZONE } = {}) => {
+  const runs = [];
+  const skipped = [];
+  const daysOfWeek = timetable.days_of_week || [];
+  const exceptions = new Set(timetable.exception_dates || []);
+  const today = localDateString(now, timeZone);
+
+  for (let offset = 0; offset < days; offset++) {
+    const serviceDate = addDays(today, offset);
+    if (!daysOfWeek.includes(isoDayOfWeek(serviceDate))) continue;
+
+    if ((timetable.valid_from && serviceDate < timetable.valid_from) || (timetable.valid_until && serviceDate > timetable.valid_until)) {
+      skipped.push({ serviceDate, reason: 'inactive_period' });
+      continue;
+    }
+    if (exceptions.has(serviceDate)) {
+      skipped.push({ serviceDate, reason: 'exception' });
+      continue;
+    }
+    if (holidays.has(serviceDate) && !timetable.runs_on_holidays) {
+      skipped.push({ serviceDate, reason: 'holiday', holiday: holidays.get(serviceDate) });
+      continue;
+    }
+
+    (timetable.departure_times || []).forEach((time) => {
+      const scheduled = zonedTimeToUtc(serviceDate, parseTimeOfDay(time), timeZone);
+      if (scheduled < now) return;
+      runs.push({
+        runKey: `${timetable.id}:${serviceDate}:${time}`,
+        serviceDate,
+        time,
+        scheduledDeparture: new Date(scheduled).toISOString()
+      });
+    });
+  }
+
+  return { runs, skipped };
+};
+
+// PENDING trip row for one run, route copied from the template (no recalculation)
+const buildTripFromTemplate = (template, timetable, run, id) => {
+  const segments = sortSegments(template.segments);
+  const first = segments[0];
+  const last = segments[segments.length - 1];
+
+  return {
+    id,
+    bus_id: timetable.bus_id,
+    status: 'PENDING',
+    progress: 0,
+    departure: first.location,
+    destination: last.location,
+    segments: template.segments,
+    // Same stored form as the template (route array or route_polyline)
+    route: template.route ?? null,
+    ...(template.route_polyline && { route_polyline: template.route_polyline }),
+    distance: template.distance || 0,
+    estimated_duration: template.estimated_duration || 0,
+    route_legs: template.route_legs || [],
+    scheduled_departure: run.scheduledDeparture,
+    requires_confirmation: Boolean(timetable.requires_confirmation),
+    route_template_id: template.id,
+    timetable_id: timetable.id,
+    service_date: run.serviceDate,
+    timetable_run_key: run.runKey,
+    created_at: new Date().toISOString()
+  };
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/*
+ * API body (camelCase) -> timetable columns. partial: only validate the fields given (PATCH).
+ * Returns { changes } or { error }.
+ */
+const validateTimetableInput = (body, { partial = false } = {}) => {
+  const input = body || {};
+  const changes = {};
+  const has = (key) => input[key] !== undefined;
+  const required = (key) => !partial || has(key);
+
+  if (required('name')) {
+    if (typeof input.name !== 'string' || input.name.trim() === '') return { error: 'name is required' };
+    changes.name = input.name.trim();
+  }
+  if (required('templateId')) {
+    if (typeof input.templateId !== 'string' || input.templateId === '') return { error: 'templateId is required' };
+    changes.route_template_id = input.templateId;
+  }
+  if (required('busId')) {
+    if (typeof input.busId !== 'string' || input.busId === '') return { error: 'busId is required' };
+    changes.bus_id = input.busId;
+  }
+  if (required('daysOfWeek')) {
+    const days = normalizeDaysOfWeek(input.daysOfWeek);
+    if (!days) return { error: 'daysOfWeek must list days as 1-7 (Monday = 1) or names (mon, tue, ...)' };
+    changes.days_of_week = days;
+  }
+  if (required('departureTimes')) {
+    const times = Array.isArray(input.departureTimes) ? input.departureTimes.map(String) : [];
+    if (times.length === 0 || times.some((time) => !parseTimeOfDay(time))) {
+      return { error: 'departureTimes must list local times as HH:MM' };
+    }
+    changes.departure_times = Array.from(new Set(times.map((time) => time.trim().padStart(5, '0')))).sort();
+  }
+  for (const [key, column] of [['validFrom', 'valid_from'], ['validUntil', 'valid_until']]) {
+    if (!has(key)) continue;
+    if (input[key] !== null && !isDateString(input[key])) return { error: `${key} must be a YYYY-MM-DD date or null` };
+    changes[column] = input[key];
+  }
+  if (has('exceptionDates')) {
+    if (!Array.isArray(input.exceptionDates) || input.exceptionDates.some((date) => !isDateString(date))) {
+      return { error: 'exceptionDates must list YYYY-MM-DD dates' };
+    }
+    changes.exception_dates = Array.from(new Set(input.exceptionDates)).sort();
+  }
+  if (has('timeZone')) {
+    if (input.timeZone !== null && !isValidTimeZone(input.timeZone)) return { error: 'timeZone must be an IANA time zone' };
+    changes.time_zone = input.timeZone;
+  }
+  for (const [key, column] of [['runsOnHolidays', 'runs_on_holidays'], ['requiresConfirmation', 'requires_confirmation'], ['active', 'active']]) {
+    if (has(key)) changes[column] = Boolean(input[key]);
+  }
+
+  return { changes };
+};
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  normalizeDaysOfWeek,
+  parseTimeOfDay,
+  isDateString,
+  isValidTimeZone,
+  isoDayOfWeek,
+  localDateString,
+  zonedTimeToUtc,
+  loadHolidays,
+  planTimetableRuns,
+  buildTripFromTemplate,
+  validateTimetableInput
+};
@@ -0,0 +1,136 @@
+// Toll tariffs (entry gate + exit gate + vehicle class) and per-trip toll costs
+const fs = require('fs');
+const { sortSegments } = require('./segments');
+
+const DEFAULT_CURRENCY = 'IDR';
+const DEFAULT_VEHICLE_CLASS = 'I';
+
+// Gates are matched by id or by name (case and whitespace insensitive)
+const gateKeys = (gate) => {
+  if (!gate) return [];
+  const keys = [];
+  if (gate.id !== undefined && gate.id !== null) keys.push(`id:${gate.id}`);
+  if (gate.name) keys.push(`name:${String(gate.name).trim().replace(/\s+/g, ' ').toLowerCase()}`);
+  return keys;
+};
+
+const normalizeClass = (vehicleClass) => String(vehicleClass).trim().toUpperCase();
+
+/*
+ * Tariff file (TOLL_TARIFF_FILE):
+ *   {
+ *     "currency": "IDR",
+ *     "defaultClass": "I",
+ *     "tariffs": [
+ *       { "entry": "Cikarang Utama", "exit": "Kalihurip", "fares": { "I": 27000, "II": 40500 } },
+ *       { "entry": { "id": "g-12" }, "exit": { "id": "g-40" }, "class": "I", "fare": 51000, "oneway": true }
+ *     ]
+ *   }
+ * Gate references are a name or { id, name }. Fares apply in both directions unless oneway.
+ */
+const createTollTariffs = ({ file = null, defaultClass = null } = {}) => {
+  const fares = new Map();
+  let currency = DEFAULT_CURRENCY;
+  let fileDefaultClass = null;
+
+  const addFare = (entry, exit, vehicleClass, fare) => {
+    gateKeys(entry).forEach((entryKey) => {
+      gateKeys(exit).forEach((exitKey) => {
+        fares.set(`${entryKey}|${exitKey}|${normalizeClass(vehicleClass)}`, Number(fare));
+      });
+    });
+  };
+
+  if (file) {
+    const table = JSON.parse(fs.readFileSync(file, 'utf8'));
+    currency = table.currency || currency;
+    fileDefaultClass = table.defaultClass || null;
+
+    (table.tariffs || []).forEach((tariff, i) => {
+      const entry = typeof tariff.entry === 'object' ? tariff.entry : { name: tariff.entry };
+      const exit = typeof tariff.exit === 'object' ? tariff.exit : { name: tariff.exit };
+      const classFares = tariff.fares || { [tariff.class || DEFAULT_VEHICLE_CLASS]: tariff.fare };
+
+      Object.entries(classFares).forEach(([vehicleClass, fare]) => {
+        if (fare === null || !Number.isFinite(Number(fare))) {
+          throw new Error(`Toll tariff ${i + 1}: invalid fare for class ${vehicleClass}`);
+        }
+        addFare(entry, exit, vehicleClass, fare);
+        if (!tariff.oneway) addFare(exit, entry, vehicleClass, fare);
+      });
+    });
+
+    console.log(`💰 Toll tariffs loaded: ${fares.size} fare keys from ${file}`);
+  }
+
+  return {
+    currency,
+    defaultClass: normalizeClass(defaultClass || fileDefaultClass || DEFAULT_VEHICLE_CLASS),
+
+    // Fare for one entry/exit gate pair, null when the pair is not in the table
+    fareFor(entryGate, exitGate, vehicleClass) {
+      const cls = normalizeClass(vehicleClass);
+      for (const entryKey of gateKeys(entryGate)) {
+        for (const exitKey of gateKeys(exitGate)) {
+          const fare = fares.get(`${entryKey}|${exitKey}|${cls}`);
+          if (fare !== undefined) return fare;
+        }
+      }
+      return null;
+    },
+
+    get size() {
+      return fares.size;
+    }
+  };
+};
+
+/*
+ * Pair every toll_entry with the next toll_exit (segment order) and price each section.
+ * complete is false when a section has no tariff or an entry/exit has no partner.
+ */
+const computeTripTolls = (segments, tariffs, vehicleClass = tariffs.defaultClass) => {
+  const sections = [];
+  let openEntry = null;
+  let unmatched = 0;
+
+  sortSegments(segments).forEach((segment) => {
+    if (segment.type === 'toll_entry') {
+      if (openEntry) unmatched++;
+      openEntry = segment;
+    } else if (segment.type === 'toll_exit') {
+      if (!openEntry) {
+        unmatched++;
+        return;
+      }
+      const entryGate = openEntry.toll_entry_gate;
+      const exitGate = segment.toll_exit_gate;
+      sections.push({
+        entrySegmentId: openEntry.id ?? null,
+        exitSegmentId: segment.id ?? null,
+        entryGate: entryGate?.name ?? null,
+        exitGate: exitGate?.name ?? null,
+        fare: tariffs.fareFor(entryGate, exitGate, vehicleClass)
+      });
+      openEntry = null;
+    }
+  });
+  if (openEntry) unmatched++;
+
+  return {
+    currency: tariffs.currency,
+    vehicleClass: normalizeClass(vehicleClass),
+    total: sections.reduce((sum, section) => sum + (section.fare || 0), 0),
+    complete: unmatched === 0 && sections.every((section) => section.fare !== null),
+    sections
+  };
+};
+
+const hasTollSegments = (segments) =>
+  (segments || []).some((segment) => segment.type === 'toll_entry' || segment.type === 'toll_exit');
+
+module.exports = {
+  createTollTariffs,
+  computeTripTolls,
+  hasTollSegments
+};
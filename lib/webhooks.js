@@ -0,0 +1,183 @@
+// Outgoing webhooks: HMAC-signed trip lifecycle notifications with retries and a dead-letter list
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+const DEFAULT_MAX_ATTEMPTS = 6;
+const DEFAULT_BASE_DELAY_MS = 5000; // 5s, 10s, 20s, 40s, 80s
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/*
+ * Signature partners verify: X-Webhook-Signature: sha256=<hex>
+ * hex = HMAC-SHA256(secret, `${X-Webhook-Timestamp}.${raw body}`)
+ */
+const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Subscription as returned by the API (secret is only shown once, on create)
+const describeWebhook = (webhook) => ({
+  id: webhook.id,
+  url: webhook.url,
+  events: webhook.events,
+  description: webhook.description,
+  createdAt: webhook.created_at
+});
+
+const createWebhookDispatcher = ({
+  storage,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS,
+  timeoutMs = DEFAULT_TIMEOUT_MS
+}) => {
+  const subscriptions = new Map();
+  const retryTimers = new Set();
+  const stats = { delivered: 0, failedAttempts: 0, deadLettered: 0, pendingRetries: 0 };
+
+  // One HTTP attempt, throws on network errors, timeouts and non-2xx responses
+  const send = async (webhook, delivery) => {
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'trackkbkc-webhooks',
+          'X-Webhook-Id': webhook.id,
+          'X-Webhook-Event': delivery.event.type,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Attempt': String(delivery.attempts),
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+        },
+        body,
+        signal: controller.signal
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    } catch (error) {
+      if (error.name === 'AbortError') throw new Error(`Timeout after ${timeoutMs}ms`);
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  };
+
+  const deadLetter = async (webhook, delivery, error) => {
+    stats.deadLettered++;
+    console.error(`☠️ Webhook ${webhook.id} gave up on ${delivery.event.type} after ${delivery.attempts} attempts: ${error.message}`);
+    await storage.appendDeadLetter({
+      id: delivery.id,
+      webhook_id: webhook.id,
+      url: webhook.url,
+      event_type: delivery.event.type,
+      event: delivery.event,
+      attempts: delivery.attempts,
+      last_error: error.message,
+      failed_at: new Date().toISOString()
+    }).catch((storeError) => console.error('Webhook: failed to store dead letter:', storeError));
+  };
+
+  // Attempt now, retry with exponential backoff, dead-letter after maxAttempts
+  const attempt = async (webhook, delivery) => {
+    delivery.attempts++;
+    try {
+      await send(webhook, delivery);
+      stats.delivered++;
+      return true;
+    } catch (error) {
+      stats.failedAttempts++;
+      if (!subscriptions.has(webhook.id)) return false; // unsubscribed meanwhile
+      if (delivery.attempts >= maxAttempts) {
+        await deadLetter(webhook, delivery, error);
+        return false;
+      }
+
+      const delay = baseDelayMs * Math.pow(2, delivery.attempts - 1);
+      console.warn(`⚠️ Webhook ${webhook.id} ${delivery.event.type} attempt ${delivery.attempts} failed (${error.message}), retrying in ${delay / 1000}s`);
+      stats.pendingRetries++;
+      const timer = setTimeout(() => {
+        retryTimers.delete(timer);
+        stats.pendingRetries--;
+        attempt(webhook, delivery);
+      }, delay);
+      retryTimers.add(timer);
+      return false;
+    }
+  };
+
+  const matches = (webhook, type) => !webhook.events || webhook.events.length === 0 || webhook.events.includes(type);
+
+  return {
+    async load() {
+      const webhooks = await storage.listWebhooks();
+      webhooks.forEach((webhook) => subscriptions.set(webhook.id, webhook));
+      if (webhooks.length > 0) console.log(`🔔 Loaded ${webhooks.length} webhook subscriptions`);
+    },
+
+    list() {
+      return Array.from(subscriptions.values()).map(describeWebhook);
+    },
+
+    async create({ url, events = [], secret = null, description = null }) {
+      const webhook = {
+        id: crypto.randomUUID(),
+        url,
+        events,
+        secret: secret || crypto.randomBytes(24).toString('hex'),
+        description,
+        created_at: new Date().toISOString()
+      };
+      await storage.insertWebhook(webhook);
+      subscriptions.set(webhook.id, webhook);
+      return { ...describeWebhook(webhook), secret: webhook.secret };
+    },
+
+    async remove(webhookId) {
+      subscriptions.delete(webhookId);
+      return storage.deleteWebhook(webhookId);
+    },
+
+    // Fan an event ({ type, ... }) out to every matching subscription, fire and forget
+    dispatch(event) {
+      subscriptions.forEach((webhook) => {
+        if (!matches(webhook, event.type)) return;
+        attempt(webhook, { id: crypto.randomUUID(), event, attempts: 0 });
+      });
+    },
+
+    listDeadLetters() {
+      return storage.listDeadLetters();
+    },
+
+    // Send a dead letter again (one attempt cycle); removed from the list once queued
+    async redeliver(id) {
+      const entry = await storage.getDeadLetter(id);
+      if (!entry) return null;
+
+      const webhook = subscriptions.get(entry.webhook_id);
+      if (!webhook) return { entry, queued: false };
+
+      await storage.deleteDeadLetter(id);
+      attempt(webhook, { id: entry.id, event: entry.event, attempts: 0 });
+      return { entry, queued: true };
+    },
+
+    stats() {
+      return { ...stats, subscriptions: subscriptions.size };
+    },
+
+    // Pending retries are dropped on shutdown
+    close() {
+      retryTimers.forEach((timer) => clearTimeout(timer));
+      retryTimers.clear();
+      stats.pendingRetries = 0;
+    }
+  };
+};
+
+module.exports = {
+  createWebhookDispatcher,
+  signPayload
+};
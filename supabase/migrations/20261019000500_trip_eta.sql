@@ -0,0 +1,4 @@
+-- Live ETA stored with the trip row on every tracking update (lib/eta.js)
+alter table public.trips
+  add column if not exists eta jsonb,
+  add column if not exists estimated_arrival timestamptz;
@@ -0,0 +1,35 @@
+-- Latest position per bus is upserted on bus_id; every update is also kept in bus_location_history
+
+-- Leftovers of the old delete-then-insert: keep the newest row per bus
+delete from public.bus_locations a
+  using public.bus_locations b
+  where a.bus_id = b.bus_id
+    and (a.timestamp < b.timestamp or (a.timestamp = b.timestamp and a.ctid < b.ctid));
+
+alter table public.bus_locations
+  add column if not exists speed double precision;
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'bus_locations_bus_id_key') then
+    alter table public.bus_locations add constraint bus_locations_bus_id_key unique (bus_id);
+  end if;
+end $$;
+
+create table if not exists public.bus_location_history (
+  id bigint generated by default as identity primary key,
+  bus_id uuid not null,
+  trip_id uuid not null,
+  lat double precision not null,
+  lng double precision not null,
+  progress double precision,
+  speed double precision,
+  elapsed_time_minutes double precision,
+  timestamp bigint not null, -- epoch ms, like bus_locations.timestamp
+  at_stop boolean not null default false,
+  stop_index integer,
+  paused boolean not null default false
+);
+
+create index if not exists bus_location_history_trip_id_timestamp_idx
+  on public.bus_location_history (trip_id, timestamp);
@@ -0,0 +1,13 @@
+-- Live GPS ingestion: per-trip tracking mode, per-bus device key, heading of the last fix
+alter table public.trips
+  add column if not exists tracking_mode text not null default 'simulated'
+    check (tracking_mode in ('simulated', 'live'));
+
+alter table public.buses
+  add column if not exists device_key text;
+
+alter table public.bus_locations
+  add column if not exists heading double precision;
+
+alter table public.bus_location_history
+  add column if not exists heading double precision;
@@ -0,0 +1,3 @@
+-- Simulation settings the trip was started with: { timeScale, step, seed, startAt }
+alter table public.trips
+  add column if not exists simulation jsonb;
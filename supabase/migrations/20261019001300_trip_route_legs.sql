@@ -0,0 +1,3 @@
+-- Per-leg breakdown of the routed trip (distance, duration, source per segment pair)
+alter table public.trips
+  add column if not exists route_legs jsonb;
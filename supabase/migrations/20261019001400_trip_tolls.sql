@@ -0,0 +1,8 @@
+-- Toll cost per trip; vehicle_class picks the tariff column (trip overrides bus)
+alter table public.trips
+  add column if not exists toll_cost numeric,
+  add column if not exists toll_breakdown jsonb,
+  add column if not exists vehicle_class text;
+
+alter table public.buses
+  add column if not exists vehicle_class text;
@@ -0,0 +1,14 @@
+-- Append-only trip lifecycle / stop / toll event log (GET /api/trips/:tripId/events)
+create table if not exists public.trip_events (
+  id bigint generated by default as identity primary key,
+  trip_id uuid not null,
+  bus_id uuid,
+  type text not null,
+  timestamp bigint not null, -- epoch ms
+  lat double precision,
+  lng double precision,
+  payload jsonb not null default '{}'::jsonb
+);
+
+create index if not exists trip_events_trip_id_timestamp_idx
+  on public.trip_events (trip_id, timestamp, id);
@@ -0,0 +1,23 @@
+-- Outgoing webhook subscriptions and deliveries that ran out of retries
+create table if not exists public.webhooks (
+  id uuid primary key,
+  url text not null,
+  events text[] not null default '{}',
+  secret text not null,
+  description text,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.webhook_dead_letters (
+  id uuid primary key,
+  webhook_id uuid not null,
+  url text not null,
+  event_type text not null,
+  event jsonb not null,
+  attempts integer not null,
+  last_error text,
+  failed_at timestamptz not null default now()
+);
+
+create index if not exists webhook_dead_letters_failed_at_idx
+  on public.webhook_dead_letters (failed_at);
@@ -0,0 +1,18 @@
+-- Who issued which control command (GET /api/audit)
+create table if not exists public.audit_log (
+  id bigint generated by default as identity primary key,
+  timestamp timestamptz not null default now(),
+  actor text,
+  role text,
+  auth_method text,
+  action text not null,
+  method text not null,
+  path text not null,
+  trip_id uuid,
+  status_code integer,
+  ip text,
+  body jsonb
+);
+
+create index if not exists audit_log_timestamp_idx on public.audit_log (timestamp desc);
+create index if not exists audit_log_trip_id_idx on public.audit_log (trip_id, timestamp desc);
@@ -0,0 +1,12 @@
+-- Automatic departure of PENDING trips at scheduled_departure, with optional dispatcher confirmation
+alter table public.trips
+  add column if not exists scheduled_departure timestamptz,
+  add column if not exists departure_grace_minutes integer,
+  add column if not exists requires_confirmation boolean not null default false,
+  add column if not exists departure_confirmed_at timestamptz,
+  add column if not exists departure_confirmed_by text,
+  add column if not exists schedule_status text,
+  add column if not exists started_by text;
+
+create index if not exists trips_pending_scheduled_departure_idx
+  on public.trips (scheduled_departure) where status = 'PENDING';
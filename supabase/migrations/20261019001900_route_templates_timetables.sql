@@ -0,0 +1,41 @@
+-- Reusable routes and the recurring timetables that generate PENDING trips from them
+create table if not exists public.route_templates (
+  id uuid primary key,
+  name text not null,
+  segments jsonb not null,
+  route jsonb,
+  distance double precision,
+  estimated_duration double precision,
+  route_legs jsonb,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.timetables (
+  id uuid primary key,
+  name text not null,
+  route_template_id uuid not null references public.route_templates (id),
+  bus_id uuid not null,
+  days_of_week smallint[] not null, -- ISO weekdays, 1 = Monday
+  departure_times text[] not null, -- "HH:MM" local time
+  valid_from date,
+  valid_until date,
+  exception_dates date[] not null default '{}',
+  time_zone text,
+  runs_on_holidays boolean not null default false,
+  requires_confirmation boolean not null default false,
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+-- Generated trips point back at their template / timetable run
+alter table public.trips
+  add column if not exists route_template_id uuid,
+  add column if not exists timetable_id uuid,
+  add column if not exists service_date date,
+  add column if not exists timetable_run_key text,
+  add column if not exists created_at timestamptz default now();
+
+-- One trip per timetable run, so concurrent generators cannot double-book
+create unique index if not exists trips_timetable_run_key_idx
+  on public.trips (timetable_id, timetable_run_key) where timetable_run_key is not null;
@@ -0,0 +1,6 @@
+-- Compact route storage (ROUTE_STORAGE_FORMAT=polyline): Google encoded polyline, precision 5
+alter table public.trips
+  add column if not exists route_polyline text;
+
+alter table public.route_templates
+  add column if not exists route_polyline text;
@@ -0,0 +1,123 @@
+// End-to-end trip lifecycle against the memory storage driver: start -> step -> complete
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+
+const TRIP_ID = 'trip-test-0001';
+
+// One short city trip with a stored route (no routing provider is asked) and a 1 minute stop
+const fixture = {
+  trips: [{
+    id: TRIP_ID,
+    bus_id: 'bus-test-1',
+    status: 'PENDING',
+    progress: 0,
+    departure: { name: 'Terminal A', lat: -6.2, lng: 106.8 },
+    destination: { name: 'Terminal B', lat: -6.25, lng: 106.85 },
+    route: [
+      { lat: -6.2, lng: 106.8 },
+      { lat: -6.22, lng: 106.82 },
+      { lat: -6.25, lng: 106.85 }
+    ],
+    distance: 7.8,
+    estimated_duration: 15,
+    segments: [
+      { id: 's1', order: 0, type: 'departure', location: { name: 'Terminal A', lat: -6.2, lng: 106.8 } },
+      { id: 's2', order: 1, type: 'stop', stop_duration: 1, location: { name: 'Halte Tengah', lat: -6.22, lng: 106.82 } },
+      { id: 's3', order: 2, type: 'destination', location: { name: 'Terminal B', lat: -6.25, lng: 106.85 } }
+    ]
+  }],
+  buses: [{ id: 'bus-test-1', nickname: 'Bus Uji', is_active: false }],
+  bus_locations: []
+};
+
+let server = null;
+let baseUrl = null;
+let tmpDir = null;
+let output = '';
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.once('error', reject);
+  probe.listen(0, () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+const api = async (method, url, body) => {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const waitFor = async (check, timeoutMs, what) => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (await check().catch(() => false)) return;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error(`Timed out waiting for ${what}\n${output}`);
+};
+
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trip-lifecycle-'));
+  const storageFile = path.join(tmpDir, 'memory-storage.json');
+  fs.writeFileSync(storageFile, JSON.stringify(fixture));
+
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  server = spawn(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+    cwd: tmpDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      AUTH_DISABLED: 'true',
+      STORAGE_DRIVER: 'memory',
+      MEMORY_STORAGE_FILE: storageFile,
+      ROUTE_CACHE_FILE: path.join(tmpDir, 'route-cache.json')
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  server.stdout.on('data', (chunk) => { output += chunk; });
+  server.stderr.on('data', (chunk) => { output += chunk; });
+
+  // Listening and done with startup (buses positioned, subscriptions set up)
+  await waitFor(async () => output.includes('tracking system with REAL stop durations ready') &&
+    (await fetch(`${baseUrl}/api/health`)).ok, 15000, 'the server to start');
+});
+
+after(async () => {
+  if (server && server.exitCode === null) {
+    const exited = new Promise((resolve) => server.once('exit', resolve));
+    server.kill('SIGTERM');
+    await exited;
+  }
+  if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('a started trip runs to completion in step mode', async () => {
+  const started = await api('POST', `/api/trips/${TRIP_ID}/start`, { simulation: { step: true, seed: 1 } });
+  assert.equal(started.status, 200, JSON.stringify(started.body));
+
+  // Tracking starts from the trip change event, a moment after the start request
+  await waitFor(async () => (await api('POST', `/api/trips/${TRIP_ID}/step`, { ticks: 1 })).status === 200,
+    5000, 'tracking to start');
+
+  let step = null;
+  for (let i = 0; i < 20 && step?.body.status !== 'COMPLETED'; i++) {
+    step = await api('POST', `/api/trips/${TRIP_ID}/step`, { ticks: 30 });
+    assert.equal(step.status, 200, JSON.stringify(step.body));
+    assert.ok(step.body.progress >= 0 && step.body.progress <= 100);
+  }
+
+  assert.equal(step.body.status, 'COMPLETED');
+  assert.equal(step.body.progress, 100);
+});